@@ -1,86 +1,154 @@
-import { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { MapContainer, TileLayer, useMap } from 'react-leaflet';
-import L from 'leaflet';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 
-const API_BASE = process.env.REACT_APP_API_BASE || '';
-const REFRESH_MS = Number(process.env.REACT_APP_REFRESH_MS || 120000);
-const DEFAULT_QUAKE_RADIUS_KM = 700;
-const MAX_VISIBLE_BALLOONS = 400;
-const MAX_VISIBLE_TRACKS = 20;
-
-const statusCopy = {
-  idle: 'Waiting for data...',
-  loading: 'Loading live constellation data...',
-  ready: 'Live data streaming',
-  error: 'Unable to load data'
-};
+import MapView from './components/map/MapView';
+import BalloonCard from './components/BalloonCard';
+import BalloonDrawer from './components/BalloonDrawer';
+import BalloonFilters from './components/BalloonFilters';
+import QualityBadge from './components/QualityBadge';
+import QuestionForm from './components/QuestionForm';
+import StatsPanel from './components/StatsPanel';
+import TimelineControl from './components/TimelineControl';
+import useConstellationFeed from './hooks/useConstellationFeed';
+import usePlayback from './hooks/usePlayback';
+import { constellationExportUrl, fetchBalloonIdsNear } from './api';
+import {
+  API_BASE,
+  REFRESH_MS,
+  FORECAST_HOURS,
+  QUAKE_FADE_MS,
+  VIEWPORT_DEBOUNCE_MS,
+  EXPORT_FORMATS,
+  DEFAULT_QUAKE_RADIUS_KM,
+  CARD_PAGE_SIZE,
+  ALERT_LIST_SIZE,
+  ENCOUNTER_LIST_SIZE,
+  DEFAULT_FILTERS,
+  statusCopy
+} from './config';
+import { positionAt, filterBalloons } from './utils/balloons';
+import { formatDate, formatNumber, formatOffset, formatCoord, describeSourceIssue } from './utils/format';
+import { readUrlState, writeUrlState } from './utils/urlState';
 
 function App() {
-  const [status, setStatus] = useState('idle');
-  const [constellation, setConstellation] = useState(null);
-  const [earthquakes, setEarthquakes] = useState([]);
-  const constellationEtagRef = useRef(null);
-  const earthquakeMetaRef = useRef(null);
-  const [error, setError] = useState('');
-  const [selectedBalloonId, setSelectedBalloonId] = useState(null);
-  const [selectedQuakeId, setSelectedQuakeId] = useState(null);
+  // Selection, map view, track toggle and filters start from the URL; see readUrlState.
+  const [initialUrlState] = useState(readUrlState);
+  const [selectedBalloonId, setSelectedBalloonId] = useState(initialUrlState.balloonId);
+  // Balloon shown in the detail drawer.
+  const [detailBalloonId, setDetailBalloonId] = useState(initialUrlState.detailBalloonId);
+  const [selectedQuakeId, setSelectedQuakeId] = useState(initialUrlState.quakeId);
   const [nearbyBalloonIds, setNearbyBalloonIds] = useState([]);
   const [mapFocus, setMapFocus] = useState(null);
-  const userInteractedRef = useRef(false);
-  const [showTracks, setShowTracks] = useState(false);
+  const [mapView, setMapView] = useState(initialUrlState.view);
+  // A linked map view counts as the user's choice, so the first data load does not recenter it.
+  const userInteractedRef = useRef(Boolean(initialUrlState.view));
+  const [showTracks, setShowTracks] = useState(initialUrlState.showTracks);
+  const [forecast, setForecast] = useState(null);
+  const [encounters, setEncounters] = useState(null);
+  // 'off', 'all', or the lower bound of an altitude band from /api/winds.
+  const [windBand, setWindBand] = useState('off');
+  const [winds, setWinds] = useState(null);
+  const [hiddenContextIds, setHiddenContextIds] = useState([]);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [drawingRegion, setDrawingRegion] = useState(false);
+  const [cardLimit, setCardLimit] = useState(CARD_PAGE_SIZE);
+  // Current map viewport as a server `bbox` filter (null when the whole world is in view).
+  const viewportBboxRef = useRef(null);
+  const viewportTimerRef = useRef(null);
+  const [viewportBbox, setViewportBbox] = useState(null);
+  const {
+    status,
+    error,
+    liveMode,
+    constellation,
+    fleet,
+    earthquakes,
+    contextProviders,
+    geofences,
+    alerts,
+    stats,
+    upstream,
+    refresh
+  } = useConstellationFeed(viewportBboxRef);
+
+  const constellationEtag = constellation?.meta?.etag;
+  useEffect(() => {
+    if (!selectedBalloonId) {
+      setForecast(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/balloons/${encodeURIComponent(selectedBalloonId)}/forecast?hours=${FORECAST_HOURS}`, {
+      signal: controller.signal
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) => setForecast(json))
+      .catch((err) => {
+        if (err.name !== 'AbortError') setForecast(null);
+      });
+    return () => controller.abort();
+  }, [selectedBalloonId, constellationEtag]);
 
+  // Every /api/winds response lists the bands, so the combined field is fetched even while winds are off.
+  const windQuery = windBand === 'off' || windBand === 'all' ? '' : `?altitudeBand=${encodeURIComponent(windBand)}`;
   useEffect(() => {
-    let timer;
-    const fetchAll = async () => {
-      setStatus('loading');
-      setError('');
-      try {
-        const [constellationResponse, earthquakesResponse] = await Promise.all([
-          fetch(`${API_BASE}/api/constellation`),
-          fetch(`${API_BASE}/api/earthquakes`)
-        ]);
-
-        if (!constellationResponse.ok) throw new Error(`Constellation error: ${constellationResponse.status}`);
-        if (!earthquakesResponse.ok) throw new Error(`Earthquake error: ${earthquakesResponse.status}`);
-
-        const constellationJson = await constellationResponse.json();
-        const earthquakesJson = await earthquakesResponse.json();
-
-        if (constellationJson?.meta?.etag && constellationEtagRef.current === constellationJson.meta.etag) {
-          // no change
-        } else {
-          constellationEtagRef.current = constellationJson?.meta?.etag || Date.now().toString();
-          setConstellation(constellationJson);
-        }
-
-        const incomingEarthquakes = earthquakesJson.earthquakes || [];
-        if (earthquakeMetaRef.current?.lastRefresh === earthquakesJson.meta?.lastRefresh) {
-          // unchanged
-        } else {
-          earthquakeMetaRef.current = earthquakesJson.meta || null;
-          setEarthquakes(incomingEarthquakes);
-        }
-        setStatus('ready');
-      } catch (err) {
-        console.error(err);
-        setError(err.message);
-        setStatus('error');
-      }
-    };
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/winds${windQuery}`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) => setWinds(json))
+      .catch((err) => {
+        if (err.name !== 'AbortError') setWinds(null);
+      });
+    return () => controller.abort();
+  }, [windQuery, constellationEtag]);
+
+  // A band that emptied out since it was picked falls back to all altitudes.
+  useEffect(() => {
+    if (!winds || windBand === 'off' || windBand === 'all') return;
+    if (!winds.bands.some((band) => String(band.from) === windBand)) setWindBand('all');
+  }, [winds, windBand]);
 
-    fetchAll();
-    timer = setInterval(fetchAll, REFRESH_MS);
-    return () => clearInterval(timer);
+  // Encounters for the selected quake, or the closest ones across all quakes when none is selected.
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ limit: ENCOUNTER_LIST_SIZE });
+    if (selectedQuakeId) params.set('quakeId', selectedQuakeId);
+    fetch(`${API_BASE}/api/encounters?${params}`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) => setEncounters(json))
+      .catch((err) => {
+        if (err.name !== 'AbortError') setEncounters(null);
+      });
+    return () => controller.abort();
+  }, [selectedQuakeId, constellationEtag]);
+
+  // `balloons` covers the map viewport once zoomed in; search, cards and counts use the whole fleet.
+  const balloons = useMemo(() => constellation?.balloons || [], [constellation]);
+  const fleetBalloons = useMemo(() => fleet || balloons, [fleet, balloons]);
+  // The search panel's filters apply to both the cards and the map layers.
+  const filteredBalloons = useMemo(() => filterBalloons(fleetBalloons, filters), [fleetBalloons, filters]);
+  const mapBalloons = useMemo(
+    () => (fleet ? filterBalloons(balloons, filters) : filteredBalloons),
+    [fleet, balloons, filters, filteredBalloons]
+  );
+
+  const updateFilters = useCallback((patch) => {
+    setFilters((prev) => ({ ...prev, ...patch }));
+    setCardLimit(CARD_PAGE_SIZE);
   }, []);
 
-  const balloons = constellation?.balloons || [];
-  const highlightedBalloons = useMemo(() => balloons.slice(0, 12), [balloons]);
+  const handleRegionDrawn = useCallback(
+    (region) => {
+      updateFilters({ region });
+      setDrawingRegion(false);
+    },
+    [updateFilters]
+  );
 
   const balloonMarkers = useMemo(() => {
     const result = [];
     const seen = new Set();
-    balloons.forEach((balloon) => {
+    mapBalloons.forEach((balloon) => {
       if (!Number.isFinite(balloon.latest?.lat) || !Number.isFinite(balloon.latest?.lon)) return;
       if (seen.has(balloon.balloonId)) return;
       seen.add(balloon.balloonId);
@@ -89,14 +157,15 @@ function App() {
         lat: balloon.latest.lat,
         lon: balloon.latest.lon,
         altitude: balloon.latest.altitude ?? null,
+        speed: balloon.kinematics?.latestSpeed ?? null,
+        bearing: balloon.kinematics?.latestBearing ?? null,
+        verticalRate: balloon.kinematics?.latestVerticalRate ?? null,
         nearestQuakeId: balloon.nearestEarthquake?.id ?? null,
         lastSeen: balloon.lastSeen
       });
     });
-    // stable ordering by last seen descending
-    result.sort((a, b) => new Date(b.lastSeen).getTime() - new Date(a.lastSeen).getTime());
     return result;
-  }, [balloons]);
+  }, [mapBalloons]);
 
   const balloonMarkerLookup = useMemo(() => {
     const map = new Map();
@@ -106,7 +175,7 @@ function App() {
 
   const balloonTracks = useMemo(
     () =>
-      balloons
+      mapBalloons
         .map((balloon) => {
           const path = (balloon.track || [])
             .filter((point) => Number.isFinite(point.lat) && Number.isFinite(point.lon))
@@ -114,14 +183,8 @@ function App() {
           if (path.length < 2) return null;
           return { id: balloon.balloonId, path };
         })
-        .filter(Boolean)
-        .slice(0, MAX_VISIBLE_TRACKS),
-    [balloons]
-  );
-
-  const visibleBalloonMarkers = useMemo(
-    () => balloonMarkers.slice(0, MAX_VISIBLE_BALLOONS),
-    [balloonMarkers]
+        .filter(Boolean),
+    [mapBalloons]
   );
 
   const quakeMarkers = useMemo(
@@ -131,12 +194,59 @@ function App() {
           if (!Array.isArray(quake.coordinates)) return null;
           const [lon, lat] = quake.coordinates;
           if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-          return { id: quake.id, lat, lon, magnitude: quake.magnitude ?? 0 };
+          return {
+            id: quake.id,
+            lat,
+            lon,
+            magnitude: quake.magnitude ?? 0,
+            occurredAt: quake.occurredAt ? new Date(quake.occurredAt).getTime() : null
+          };
         })
         .filter(Boolean),
     [earthquakes]
   );
 
+  const playback = usePlayback(constellation?.frames);
+  const { playhead } = playback;
+
+  const balloonLookup = useMemo(() => {
+    const map = new Map();
+    balloons.forEach((balloon) => map.set(balloon.balloonId, balloon));
+    return map;
+  }, [balloons]);
+
+  const fleetLookup = useMemo(() => {
+    const map = new Map();
+    fleetBalloons.forEach((balloon) => map.set(balloon.balloonId, balloon));
+    return map;
+  }, [fleetBalloons]);
+
+  // Fleet summaries carry no track, so cards for balloons in view take the viewport copy for the sparkline.
+  const highlightedBalloons = useMemo(
+    () => filteredBalloons.slice(0, cardLimit).map((balloon) => balloonLookup.get(balloon.balloonId) || balloon),
+    [filteredBalloons, cardLimit, balloonLookup]
+  );
+
+  const playbackBalloonMarkers = useMemo(() => {
+    if (playhead == null) return balloonMarkers;
+    return balloonMarkers
+      .map((marker) => {
+        const position = positionAt(balloonLookup.get(marker.id)?.track, playhead);
+        return position ? { ...marker, ...position } : null;
+      })
+      .filter(Boolean);
+  }, [balloonLookup, playhead, balloonMarkers]);
+
+  const playbackQuakeMarkers = useMemo(() => {
+    if (playhead == null) return quakeMarkers;
+    return quakeMarkers
+      .filter((marker) => marker.occurredAt == null || marker.occurredAt <= playhead)
+      .map((marker) => ({
+        ...marker,
+        fade: marker.occurredAt == null ? 1 : Math.max(0.15, Math.min(1, (playhead - marker.occurredAt) / QUAKE_FADE_MS))
+      }));
+  }, [playhead, quakeMarkers]);
+
   const quakeMarkerLookup = useMemo(() => {
     const map = new Map();
     quakeMarkers.forEach((marker) => map.set(marker.id, marker));
@@ -154,14 +264,119 @@ function App() {
 
   const quakeHighlights = useMemo(() => earthquakes.slice(0, 8), [earthquakes]);
 
+  const contextLayers = useMemo(
+    () =>
+      contextProviders
+        .filter((provider) => !hiddenContextIds.includes(provider.id))
+        .map((provider) => ({
+          id: provider.id,
+          label: provider.label,
+          color: provider.color,
+          markers: (provider.features || [])
+            .map((feature) => {
+              const [lon, lat] = feature.coordinates || [];
+              if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+              return { id: feature.id, lat, lon, name: feature.name, value: feature.value };
+            })
+            .filter(Boolean)
+        })),
+    [contextProviders, hiddenContextIds]
+  );
+
+  const toggleContextLayer = useCallback((providerId) => {
+    setHiddenContextIds((prev) =>
+      prev.includes(providerId) ? prev.filter((id) => id !== providerId) : [...prev, providerId]
+    );
+  }, []);
+
+  // Nearby balloons come from the server's spatial index; the token drops answers to superseded clicks.
+  const nearbyRequestRef = useRef(0);
+  const loadNearbyBalloons = useCallback(
+    async (quakeId, options = {}) => {
+      const { selectFirst = false } = options;
+      const token = ++nearbyRequestRef.current;
+      const quake = quakeMarkerLookup.get(quakeId);
+      if (!quake) {
+        setNearbyBalloonIds([]);
+        return;
+      }
+
+      try {
+        const ids = await fetchBalloonIdsNear(quake.lat, quake.lon, DEFAULT_QUAKE_RADIUS_KM);
+        if (token !== nearbyRequestRef.current) return;
+        setNearbyBalloonIds(ids);
+        if (selectFirst && ids.length) setSelectedBalloonId(ids[0]);
+      } catch (err) {
+        if (token !== nearbyRequestRef.current) return;
+        console.error(err);
+        setNearbyBalloonIds([]);
+      }
+    },
+    [quakeMarkerLookup]
+  );
+
+  const openBalloonDetail = useCallback((balloonId) => {
+    setDetailBalloonId(balloonId);
+  }, []);
+
+  const closeBalloonDetail = useCallback(() => {
+    setDetailBalloonId(null);
+  }, []);
+
+  // A quake restored from the URL gets its nearby balloons once the quake feed has it.
+  const pendingNearbyQuakeRef = useRef(initialUrlState.quakeId);
+  useEffect(() => {
+    const quakeId = pendingNearbyQuakeRef.current;
+    if (!quakeId || !quakeMarkerLookup.has(quakeId)) return;
+    pendingNearbyQuakeRef.current = null;
+    loadNearbyBalloons(quakeId);
+  }, [quakeMarkerLookup, loadNearbyBalloons]);
+
+  // Selection changes (quake, drawer) push a history entry so back/forward steps through them;
+  // everything else replaces the current entry.
+  const urlSelectionRef = useRef(null);
+  useEffect(() => {
+    const selection = `${selectedQuakeId}|${detailBalloonId}`;
+    const push = urlSelectionRef.current !== null && urlSelectionRef.current !== selection;
+    urlSelectionRef.current = selection;
+    writeUrlState(
+      { balloonId: selectedBalloonId, detailBalloonId, quakeId: selectedQuakeId, showTracks, view: mapView, filters },
+      { push }
+    );
+  }, [selectedBalloonId, detailBalloonId, selectedQuakeId, showTracks, mapView, filters]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      urlSelectionRef.current = `${state.quakeId}|${state.detailBalloonId}`;
+      setSelectedBalloonId(state.balloonId);
+      setDetailBalloonId(state.detailBalloonId);
+      setSelectedQuakeId(state.quakeId);
+      setShowTracks(state.showTracks);
+      setFilters(state.filters);
+      setCardLimit(CARD_PAGE_SIZE);
+      nearbyRequestRef.current += 1;
+      setNearbyBalloonIds([]);
+      pendingNearbyQuakeRef.current = state.quakeId;
+      if (state.view) {
+        setMapView(state.view);
+        setMapFocus({ center: [state.view.lat, state.view.lon], zoom: state.view.zoom });
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
   const selectBalloon = useCallback(
     (balloonId, nearestQuakeId, coords, options = {}) => {
       const { focus = true } = options;
       setSelectedBalloonId(balloonId);
+      openBalloonDetail(balloonId);
       if (nearestQuakeId) {
         setSelectedQuakeId(nearestQuakeId);
-        setNearbyBalloonIds(getBalloonIdsNearQuake(nearestQuakeId, balloonMarkers, quakeMarkerLookup));
+        loadNearbyBalloons(nearestQuakeId);
       } else {
+        nearbyRequestRef.current += 1;
         setSelectedQuakeId(null);
         setNearbyBalloonIds([]);
       }
@@ -171,27 +386,56 @@ function App() {
         if (marker) setMapFocus({ center: [marker.lat, marker.lon], zoom: 4 });
       }
     },
-    [balloonMarkers, balloonMarkerLookup, quakeMarkerLookup]
+    [balloonMarkerLookup, loadNearbyBalloons, openBalloonDetail]
   );
 
   const selectQuake = useCallback(
-    (quakeId, nearbyIds, coords) => {
+    (quakeId, coords) => {
       setSelectedQuakeId(quakeId);
-      const ids =
-        nearbyIds?.length > 0 ? nearbyIds : getBalloonIdsNearQuake(quakeId, balloonMarkers, quakeMarkerLookup);
-      setNearbyBalloonIds(ids);
-      if (ids.length) setSelectedBalloonId(ids[0]);
+      loadNearbyBalloons(quakeId, { selectFirst: true });
 
       const marker = coords || quakeMarkerLookup.get(quakeId);
       if (marker) setMapFocus({ center: [marker.lat, marker.lon], zoom: 4 });
     },
-    [balloonMarkers, quakeMarkerLookup]
+    [loadNearbyBalloons, quakeMarkerLookup]
   );
 
+  const handleMapFocusConsumed = useCallback(() => {
+    setMapFocus(null);
+  }, []);
+
   const handleUserInteraction = useCallback(() => {
     userInteractedRef.current = true;
   }, []);
 
+  const handleViewportChange = useCallback((bbox, view) => {
+    setMapView((prev) =>
+      prev && prev.lat === view.lat && prev.lon === view.lon && prev.zoom === view.zoom ? prev : view
+    );
+    if (bbox === viewportBboxRef.current) return;
+    viewportBboxRef.current = bbox;
+    setViewportBbox(bbox);
+    clearTimeout(viewportTimerRef.current);
+    viewportTimerRef.current = setTimeout(refresh, VIEWPORT_DEBOUNCE_MS);
+  }, [refresh]);
+
+  useEffect(() => () => clearTimeout(viewportTimerRef.current), []);
+
+  const exportUrls = useMemo(() => {
+    const shown = { filters, viewportBbox, from: playback.start, to: playhead ?? playback.end };
+    return Object.fromEntries(EXPORT_FORMATS.map(({ format }) => [format, constellationExportUrl(format, shown)]));
+  }, [filters, viewportBbox, playback.start, playback.end, playhead]);
+
+  // The pill only reports upstream trouble once the dashboard itself has loaded.
+  const pillStatus = status === 'ready' && ['partial', 'stale'].includes(upstream?.status) ? upstream.status : status;
+  const upstreamIssues = useMemo(
+    () =>
+      (upstream?.sources || [])
+        .filter((source) => source.status !== 'ok')
+        .map((source) => describeSourceIssue(source, contextProviders)),
+    [upstream, contextProviders]
+  );
+
   return (
     <div className="App">
       <header className="AppHeader">
@@ -203,15 +447,25 @@ function App() {
             earthquake GeoJSON feed to explore nearby seismic activity.
           </p>
         </div>
-        <div className={`status status-${status}`}>
+        <div className={`status status-${pillStatus}`}>
           <span className="dot" />
           <div>
-            <p className="status-label">{statusCopy[status]}</p>
+            <p className="status-label">{statusCopy[pillStatus]}</p>
+            {pillStatus !== status &&
+              upstreamIssues.map((issue) => (
+                <p key={issue} className="status-meta status-warning">
+                  {issue}
+                </p>
+              ))}
             {constellation?.meta?.lastRefresh && (
               <p className="status-meta">
                 Last refreshed {new Date(constellation.meta.lastRefresh).toLocaleTimeString()}
               </p>
             )}
+            <p className="status-meta">
+              {liveMode === 'stream' ? 'Push updates connected' : `Polling every ${Math.round(REFRESH_MS / 1000)}s`}
+            </p>
+            <QualityBadge quality={constellation?.meta?.quality} />
             {status === 'error' && <p className="status-error">{error}</p>}
           </div>
         </div>
@@ -227,14 +481,42 @@ function App() {
                   Plotting current balloon locations, optional 24-hour tracks, and the latest earthquakes (scaled by magnitude).
                 </p>
                 <p className="map-meta">
-                  Rendering {visibleBalloonMarkers.length} of {balloonMarkers.length} live balloons to keep the map responsive.
+                  {fleet
+                    ? `Rendering the ${balloonMarkers.length} matching balloons in view, of ${fleetBalloons.length} tracked; `
+                    : `Rendering all ${balloonMarkers.length} matching balloons; `}
+                  nearby balloons group into clusters until you zoom in.
                 </p>
               </div>
               <div className="map-legend">
                 <div>
                   <span className="legend-dot balloon" /> Balloon
                   <span className="legend-dot quake" /> Earthquake
+                  <span className="legend-dash forecast" /> {FORECAST_HOURS}h Forecast
                 </div>
+                {contextProviders.map((provider) => (
+                  <label key={provider.id} className="context-toggle">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenContextIds.includes(provider.id)}
+                      onChange={() => toggleContextLayer(provider.id)}
+                    />
+                    <span className="legend-dot" style={{ background: provider.color }} /> {provider.label}
+                  </label>
+                ))}
+                <select
+                  className="wind-select"
+                  value={windBand}
+                  onChange={(event) => setWindBand(event.target.value)}
+                  title="Wind estimated from balloon drift"
+                >
+                  <option value="off">Winds off</option>
+                  <option value="all">Winds: all altitudes</option>
+                  {(winds?.bands || []).map((band) => (
+                    <option key={band.from} value={String(band.from)}>
+                      Winds: {band.from}–{band.to} km ({band.vectorCount})
+                    </option>
+                  ))}
+                </select>
                 <button
                   type="button"
                   className="map-toggle"
@@ -248,88 +530,94 @@ function App() {
                 >
                   {showTracks ? 'Hide Tracks' : 'Show Tracks'}
                 </button>
+                <div className="map-downloads">
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <a
+                      key={format}
+                      className="map-toggle"
+                      href={exportUrls[format]}
+                      download
+                      title={`Download the balloons and tracks shown on the map as ${label}`}
+                    >
+                      {label}
+                    </a>
+                  ))}
+                </div>
               </div>
             </div>
             <MapView
-              balloonMarkers={visibleBalloonMarkers}
+              balloonMarkers={playbackBalloonMarkers}
               balloonTracks={balloonTracks}
-              quakeMarkers={quakeMarkers}
+              quakeMarkers={playbackQuakeMarkers}
               selectedBalloonId={selectedBalloonId}
               selectedQuakeId={selectedQuakeId}
               nearbyBalloonIds={nearbyBalloonIds}
               mapFocus={mapFocus}
-              onMapFocusConsumed={() => setMapFocus(null)}
+              onMapFocusConsumed={handleMapFocusConsumed}
               onUserInteraction={handleUserInteraction}
-              quakeRadiusKm={DEFAULT_QUAKE_RADIUS_KM}
+              onViewportChange={handleViewportChange}
+              initialView={initialUrlState.view}
               showTracks={showTracks}
+              winds={windBand === 'off' ? null : winds}
+              forecast={playhead == null ? forecast : null}
+              contextLayers={contextLayers}
+              geofences={geofences}
+              region={filters.region}
+              drawingRegion={drawingRegion}
+              onRegionDrawn={handleRegionDrawn}
               onSelectBalloon={selectBalloon}
               onSelectQuake={selectQuake}
             />
+            <TimelineControl
+              start={playback.start}
+              end={playback.end}
+              playhead={playhead}
+              playing={playback.playing}
+              speed={playback.speed}
+              onScrub={playback.scrub}
+              onTogglePlay={playback.togglePlay}
+              onStep={playback.step}
+              onSpeedChange={playback.setSpeed}
+              onLive={playback.goLive}
+            />
           </section>
 
+          <StatsPanel stats={stats} />
+
           <section className="panel">
             <h2>Constellation Snapshot</h2>
             <p className="panel-subtitle">
-              Showing {highlightedBalloons.length} of {balloons.length} tracked balloons with freshest telemetry.
+              Showing {highlightedBalloons.length} of {filteredBalloons.length} matching balloons ({fleetBalloons.length}{' '}
+              tracked).
             </p>
+            <BalloonFilters
+              filters={filters}
+              drawingRegion={drawingRegion}
+              onChange={updateFilters}
+              onToggleDraw={() => setDrawingRegion((prev) => !prev)}
+              onReset={() => {
+                updateFilters(DEFAULT_FILTERS);
+                setDrawingRegion(false);
+              }}
+            />
             <div className="balloon-grid">
               {highlightedBalloons.map((balloon) => (
-                <article
+                <BalloonCard
                   key={balloon.balloonId}
-                  className={`balloon-card ${selectedBalloonId === balloon.balloonId ? 'is-selected' : ''} ${
-                    nearbyBalloonIds.includes(balloon.balloonId) ? 'is-near-quake' : ''
-                  }`}
-                  onClick={() =>
-                    selectBalloon(
-                      balloon.balloonId,
-                      balloon.nearestEarthquake?.id,
-                      balloon.latest && { lat: balloon.latest.lat, lon: balloon.latest.lon },
-                      { focus: false }
-                    )
-                  }
-                >
-                  <header>
-                    <h3>{balloon.balloonId}</h3>
-                    <p>
-                      {formatCoord(balloon.latest?.lat)}°, {formatCoord(balloon.latest?.lon)}°
-                    </p>
-                  </header>
-                  <dl>
-                    <div>
-                      <dt>Last Seen</dt>
-                      <dd>{formatDate(balloon.lastSeen)}</dd>
-                    </div>
-                    <div>
-                      <dt>Altitude Δ</dt>
-                      <dd>{formatDelta(balloon.altitudeDelta, 'm')}</dd>
-                    </div>
-                    <div>
-                      <dt>Track Samples</dt>
-                      <dd>{balloon.sampleCount ?? 'N/A'}</dd>
-                    </div>
-                    <div>
-                      <dt>Total Distance</dt>
-                      <dd>{formatNumber(balloon.totalDistanceKm)} km</dd>
-                    </div>
-                  </dl>
-                  <Sparkline track={balloon.track} />
-                  {balloon.nearestEarthquake ? (
-                    <footer>
-                      <p className="foot-label">Nearest Quake</p>
-                      <p className="foot-value">
-                        {balloon.nearestEarthquake.place} · {balloon.nearestEarthquake.magnitude ?? '?'}M ·{' '}
-                        {balloon.nearestEarthquake.distanceKm} km away
-                      </p>
-                    </footer>
-                  ) : (
-                    <footer>
-                      <p className="foot-label">Nearest Quake</p>
-                      <p className="foot-value">No quake in feed window</p>
-                    </footer>
-                  )}
-                </article>
+                  balloon={balloon}
+                  selected={selectedBalloonId === balloon.balloonId}
+                  nearQuake={nearbyBalloonIds.includes(balloon.balloonId)}
+                  contextProviders={contextProviders}
+                  onSelect={selectBalloon}
+                />
               ))}
             </div>
+            {filteredBalloons.length > highlightedBalloons.length && (
+              <button type="button" className="map-toggle show-more" onClick={() => setCardLimit((prev) => prev + CARD_PAGE_SIZE)}>
+                Show {Math.min(CARD_PAGE_SIZE, filteredBalloons.length - highlightedBalloons.length)} more
+              </button>
+            )}
+            {!filteredBalloons.length && fleetBalloons.length > 0 && <p className="empty">No balloons match these filters.</p>}
           </section>
         </div>
 
@@ -344,7 +632,6 @@ function App() {
                 onClick={() =>
                   selectQuake(
                     quake.id,
-                    null,
                     quake.coordinates ? { lat: quake.coordinates[1], lon: quake.coordinates[0] } : null
                   )
                 }
@@ -366,316 +653,134 @@ function App() {
             {!quakeHighlights.length && <li className="empty">Waiting for earthquake feed...</li>}
           </ul>
 
+          {encounters && (
+            <div className="context-section">
+              <h2>Balloons Overhead</h2>
+              <p className="panel-subtitle">
+                {selectedQuakeId ? 'Balloons' : 'Closest balloons to any quake'} within{' '}
+                {formatNumber(encounters.radiusKm)} km and {formatNumber(encounters.windowHours)} h of the shaking
+                {selectedQuakeId ? ' for the selected quake.' : '.'}
+              </p>
+              <ul className="quake-list">
+                {encounters.encounters.map((encounter) => (
+                  <li
+                    key={`${encounter.quakeId}|${encounter.balloonId}`}
+                    className={`quake-card encounter-card ${selectedBalloonId === encounter.balloonId ? 'is-selected' : ''}`}
+                    onClick={() => selectBalloon(encounter.balloonId, encounter.quakeId, encounter.position)}
+                  >
+                    <div>
+                      <p className="quake-mag">{formatNumber(encounter.distanceKm)}</p>
+                      <p className="quake-label">km</p>
+                    </div>
+                    <div className="quake-body">
+                      <p className="quake-place">{encounter.balloonId}</p>
+                      <p className="quake-time">
+                        {formatOffset(encounter.timeOffsetMinutes, encounter.interpolated)} ·{' '}
+                        {formatNumber(encounter.quake.magnitude, 1)}M {encounter.quake.place}
+                      </p>
+                    </div>
+                    <div className="quake-coords">
+                      <p>{formatCoord(encounter.position.lat)}°</p>
+                      <p>{formatCoord(encounter.position.lon)}°</p>
+                    </div>
+                  </li>
+                ))}
+                {!encounters.encounters.length && <li className="empty">No balloon came close enough.</li>}
+              </ul>
+            </div>
+          )}
+
+          {(geofences.length > 0 || alerts.length > 0) && (
+            <div className="context-section">
+              <h2>Geofence Alerts</h2>
+              <p className="panel-subtitle">
+                {geofences.length} {geofences.length === 1 ? 'fence' : 'fences'} watched · latest {ALERT_LIST_SIZE} entries
+                and exits.
+              </p>
+              <ul className="quake-list">
+                {alerts.map((alert) => (
+                  <li
+                    key={alert.id}
+                    className={`quake-card alert-card ${selectedBalloonId === alert.balloonId ? 'is-selected' : ''}`}
+                    onClick={() =>
+                      selectBalloon(alert.balloonId, fleetLookup.get(alert.balloonId)?.nearestEarthquake?.id, alert.position)
+                    }
+                  >
+                    <div>
+                      <p className={`alert-event alert-${alert.event}`}>{alert.event === 'enter' ? 'IN' : 'OUT'}</p>
+                    </div>
+                    <div className="quake-body">
+                      <p className="quake-place">
+                        {alert.balloonId} {alert.event === 'enter' ? 'entered' : 'left'} {alert.geofenceName}
+                      </p>
+                      <p className="quake-time">{formatDate(alert.observedAt)}</p>
+                    </div>
+                    <div className="quake-coords">
+                      <p>{formatCoord(alert.position?.lat)}°</p>
+                      <p>{formatCoord(alert.position?.lon)}°</p>
+                    </div>
+                  </li>
+                ))}
+                {!alerts.length && <li className="empty">No balloon has crossed a fence yet.</li>}
+              </ul>
+            </div>
+          )}
+
+          {contextProviders.map((provider) => (
+            <div key={provider.id} className="context-section">
+              <h2>{provider.label}</h2>
+              <p className="panel-subtitle">
+                {provider.featureCount} features
+                {provider.lastRefresh && ` · refreshed ${new Date(provider.lastRefresh).toLocaleTimeString()}`}
+                {provider.lastError && ' · last refresh failed'}
+              </p>
+              <ul className="quake-list">
+                {(provider.features || []).slice(0, 8).map((feature) => (
+                  <li
+                    key={feature.id}
+                    className="quake-card context-card"
+                    onClick={() => setMapFocus({ center: [feature.coordinates[1], feature.coordinates[0]], zoom: 4 })}
+                  >
+                    <div>
+                      <p className="quake-mag" style={{ color: provider.color }}>
+                        {feature.value == null ? '•' : formatNumber(feature.value, 1)}
+                      </p>
+                    </div>
+                    <div className="quake-body">
+                      <p className="quake-place">{feature.name}</p>
+                      <p className="quake-time">{formatDate(feature.occurredAt)}</p>
+                    </div>
+                    <div className="quake-coords">
+                      <p>{formatCoord(feature.coordinates?.[1])}°</p>
+                      <p>{formatCoord(feature.coordinates?.[0])}°</p>
+                    </div>
+                  </li>
+                ))}
+                {!provider.features?.length && <li className="empty">No features in this feed right now.</li>}
+              </ul>
+            </div>
+          ))}
+
           <div className="notes">
             <h3>Notes</h3>
             <p>
               External dataset: I chose the USGS real-time earthquake GeoJSON feed because it is unauthenticated,
               global, and offers high-impact context about seismic events happening near the balloons.
             </p>
+            <QuestionForm />
           </div>
         </section>
       </main>
-    </div>
-  );
-}
-
-const MapView = memo(function MapView({
-  balloonMarkers,
-  balloonTracks,
-  quakeMarkers,
-  selectedBalloonId,
-  selectedQuakeId,
-  nearbyBalloonIds = [],
-  mapFocus,
-  onMapFocusConsumed,
-  onUserInteraction,
-  quakeRadiusKm,
-  showTracks,
-  onSelectBalloon,
-  onSelectQuake
-}) {
-  const interactionLockRef = useRef(false);
-
-  return (
-    <div className="map-wrapper">
-      <MapContainer
-        center={[0, 0]}
-        zoom={2}
-        minZoom={2}
-        className="leaflet-map"
-        worldCopyJump
-        scrollWheelZoom={{ center: true }}
-      >
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
-        <MapInteractionGuard interactionLockRef={interactionLockRef} onUserInteraction={onUserInteraction} />
-        <MapAutoCenter mapFocus={mapFocus} onMapFocusConsumed={onMapFocusConsumed} />
-        {showTracks && <TrackLayer tracks={balloonTracks} />}
-        <BalloonsLayer
-          markers={balloonMarkers}
-          selectedBalloonId={selectedBalloonId}
-          nearbyBalloonIds={nearbyBalloonIds}
-          interactionLockRef={interactionLockRef}
-          onSelectBalloon={onSelectBalloon}
-        />
-        <QuakeLayer
-          markers={quakeMarkers}
-          selectedQuakeId={selectedQuakeId}
-          quakeRadiusKm={quakeRadiusKm}
-          balloonMarkers={balloonMarkers}
-          interactionLockRef={interactionLockRef}
-          onSelectQuake={onSelectQuake}
+      {detailBalloonId && (
+        <BalloonDrawer
+          balloonId={detailBalloonId}
+          version={constellationEtag}
+          onClose={closeBalloonDetail}
+          onSelectQuake={selectQuake}
         />
-      </MapContainer>
+      )}
     </div>
   );
-});
-
-function MapInteractionGuard({ interactionLockRef, onUserInteraction }) {
-  const map = useMap();
-  useEffect(() => {
-    const handleStart = () => {
-      interactionLockRef.current = true;
-      if (onUserInteraction) onUserInteraction();
-    };
-    const handleEnd = () => {
-      interactionLockRef.current = false;
-    };
-    map.on('dragstart', handleStart);
-    map.on('dragend', handleEnd);
-    map.on('movestart', handleStart);
-    map.on('moveend', handleEnd);
-    map.on('zoomstart', handleStart);
-    map.on('zoomend', handleEnd);
-    return () => {
-      map.off('dragstart', handleStart);
-      map.off('dragend', handleEnd);
-      map.off('movestart', handleStart);
-      map.off('moveend', handleEnd);
-    };
-  }, [interactionLockRef, map]);
-  return null;
-}
-
-const TrackLayer = memo(function TrackLayer({ tracks }) {
-  const map = useMap();
-  const layerRef = useRef(null);
-
-  useEffect(() => {
-    if (!layerRef.current) {
-      layerRef.current = L.layerGroup().addTo(map);
-    }
-    return () => {
-      if (layerRef.current) {
-        layerRef.current.remove();
-        layerRef.current = null;
-      }
-    };
-  }, [map]);
-
-  useEffect(() => {
-    const layer = layerRef.current;
-    if (!layer) return;
-    layer.clearLayers();
-    tracks.forEach((track) => {
-      L.polyline(track.path, { color: '#38bdf8', weight: 2, opacity: 0.45 }).addTo(layer);
-    });
-  }, [tracks]);
-
-  return null;
-});
-
-const BalloonsLayer = memo(function BalloonsLayer({
-  markers,
-  selectedBalloonId,
-  nearbyBalloonIds,
-  interactionLockRef,
-  onSelectBalloon
-}) {
-  const map = useMap();
-  const layerRef = useRef(null);
-
-  useEffect(() => {
-    if (!layerRef.current) {
-      layerRef.current = L.layerGroup().addTo(map);
-    }
-    return () => {
-      if (layerRef.current) {
-        layerRef.current.remove();
-        layerRef.current = null;
-      }
-    };
-  }, [map]);
-
-  useEffect(() => {
-    const layer = layerRef.current;
-    if (!layer) return;
-    layer.clearLayers();
-    const highlightSet = new Set(nearbyBalloonIds);
-    markers.forEach((marker) => {
-      const isSelected = marker.id === selectedBalloonId;
-      const isHighlighted = highlightSet.has(marker.id);
-      const circle = L.circleMarker([marker.lat, marker.lon], {
-        radius: Math.max(4, Math.min(9, (marker.altitude || 0) / 2000 + 4)),
-        color: isSelected ? '#facc15' : isHighlighted ? '#bef264' : '#38bdf8',
-        weight: isSelected ? 3 : isHighlighted ? 2 : 1.5,
-        fillOpacity: isSelected || isHighlighted ? 1 : 0.7
-      });
-      circle.on('click', () => {
-        if (interactionLockRef.current) return;
-        onSelectBalloon(marker.id, marker.nearestQuakeId, { lat: marker.lat, lon: marker.lon });
-      });
-      circle.bindTooltip(
-        `${marker.id}<br/>${formatCoord(marker.lat)}°, ${formatCoord(marker.lon)}°`,
-        { direction: 'top', opacity: 0.9, sticky: true }
-      );
-      circle.addTo(layer);
-    });
-  }, [markers, nearbyBalloonIds, onSelectBalloon, selectedBalloonId]);
-
-  return null;
-});
-
-const QuakeLayer = memo(function QuakeLayer({
-  markers,
-  selectedQuakeId,
-  quakeRadiusKm,
-  balloonMarkers,
-  interactionLockRef,
-  onSelectQuake
-}) {
-  const map = useMap();
-  const layerRef = useRef(null);
-
-  useEffect(() => {
-    if (!layerRef.current) {
-      layerRef.current = L.layerGroup().addTo(map);
-    }
-    return () => {
-      if (layerRef.current) {
-        layerRef.current.remove();
-        layerRef.current = null;
-      }
-    };
-  }, [map]);
-
-  useEffect(() => {
-    const layer = layerRef.current;
-    if (!layer) return;
-    layer.clearLayers();
-    markers.forEach((marker) => {
-      const circle = L.circleMarker([marker.lat, marker.lon], {
-        radius: Math.max(5, marker.magnitude * 1.3),
-        color: marker.id === selectedQuakeId ? '#f43f5e' : '#f87171',
-        weight: marker.id === selectedQuakeId ? 4 : 1.5,
-        fillOpacity: marker.id === selectedQuakeId ? 1 : 0.7
-      });
-      circle.on('click', () => {
-        if (interactionLockRef.current) return;
-        const nearbyIds = getBalloonIdsAroundQuake(marker, balloonMarkers, quakeRadiusKm);
-        onSelectQuake(marker.id, nearbyIds, { lat: marker.lat, lon: marker.lon });
-      });
-      circle.bindTooltip(
-        `${formatNumber(marker.magnitude, 1)}M<br/>${formatCoord(marker.lat)}°, ${formatCoord(marker.lon)}°`,
-        { direction: 'top', opacity: 0.9, sticky: true }
-      );
-      circle.addTo(layer);
-    });
-  }, [balloonMarkers, markers, onSelectQuake, quakeRadiusKm, selectedQuakeId]);
-
-  return null;
-});
-
-function MapAutoCenter({ mapFocus, onMapFocusConsumed }) {
-  const map = useMap();
-
-  useEffect(() => {
-    if (!mapFocus) return;
-    const [lat, lon] = mapFocus.center;
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
-    map.flyTo([lat, lon], mapFocus.zoom ?? 4, { duration: 1.1 });
-    if (onMapFocusConsumed) onMapFocusConsumed();
-  }, [mapFocus, map, onMapFocusConsumed]);
-
-  return null;
-}
-
-function Sparkline({ track }) {
-  const points = (track || []).filter((pt) => Number.isFinite(pt.altitude));
-  if (points.length < 2) return null;
-
-  const minAltitude = Math.min(...points.map((p) => p.altitude));
-  const maxAltitude = Math.max(...points.map((p) => p.altitude));
-  const range = maxAltitude - minAltitude || 1;
-
-  const sparkPoints = points.map((pt, idx) => {
-    const x = (idx / (points.length - 1)) * 100;
-    const y = 30 - ((pt.altitude - minAltitude) / range) * 30;
-    return `${x},${y}`;
-  });
-
-  return (
-    <div className="sparkline">
-      <svg viewBox="0 0 100 30" preserveAspectRatio="none">
-        <polyline points={sparkPoints.join(' ')} />
-      </svg>
-      <p>
-        Alt trend · {Math.round(minAltitude)}m to {Math.round(maxAltitude)}m
-      </p>
-    </div>
-  );
-}
-
-function formatDate(value) {
-  if (!value) return 'N/A';
-  try {
-    const date = new Date(value);
-    return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
-  } catch {
-    return value;
-  }
-}
-
-function formatDelta(value, unit = '') {
-  if (value == null || Number.isNaN(value)) return 'N/A';
-  const rounded = Math.round(value);
-  const display = rounded > 0 ? `+${rounded}` : `${rounded}`;
-  return unit ? `${display} ${unit}` : display;
-}
-
-function formatNumber(value, decimals = 0) {
-  if (value == null || Number.isNaN(Number(value))) return 'N/A';
-  const num = Number(value);
-  return decimals > 0 ? num.toFixed(decimals) : Math.round(num).toString();
-}
-
-function formatCoord(value) {
-  return Number.isFinite(value) ? value.toFixed(2) : 'N/A';
-}
-
-function getBalloonIdsNearQuake(quakeId, balloonMarkers, quakeLookup, radiusKm = DEFAULT_QUAKE_RADIUS_KM) {
-  const quake = quakeLookup.get(quakeId);
-  if (!quake) return [];
-  return getBalloonIdsAroundQuake(quake, balloonMarkers, radiusKm);
-}
-
-function getBalloonIdsAroundQuake(quakeMarker, balloonMarkers, radiusKm) {
-  return balloonMarkers
-    .filter((marker) => haversineKm(quakeMarker.lat, quakeMarker.lon, marker.lat, marker.lon) <= radiusKm)
-    .map((marker) => marker.id);
-}
-
-function haversineKm(lat1, lon1, lat2, lon2) {
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const R = 6371;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
 }
 
 export default App;
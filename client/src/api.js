@@ -0,0 +1,28 @@
+import { API_BASE, FILTER_PARAMS } from './config';
+import { parseFilterNumber } from './utils/balloons';
+import { regionToBbox } from './utils/geo';
+
+export async function fetchBalloonIdsNear(lat, lon, radiusKm) {
+  const params = new URLSearchParams({ lat, lon, radiusKm });
+  const response = await fetch(`${API_BASE}/api/balloons/near?${params}`);
+  if (!response.ok) throw new Error(`Nearby balloons error: ${response.status}`);
+  const json = await response.json();
+  return (json.balloons || []).map((balloon) => balloon.balloonId);
+}
+
+// Download link for one export format. It carries the search filters, the map area the dashboard
+// loaded (`viewportBbox`, null when zoomed out) and the timeline window, so the file holds what the
+// map shows; `to` is the playhead during playback.
+export function constellationExportUrl(format, { filters, viewportBbox, from, to }) {
+  const params = new URLSearchParams();
+  Object.entries(FILTER_PARAMS).forEach(([field, key]) => {
+    const value = field === 'query' ? filters.query.trim() : parseFilterNumber(filters[field]);
+    if (value != null && value !== '') params.set(key, value);
+  });
+  if (filters.region) params.append('bbox', regionToBbox(filters.region));
+  if (viewportBbox) params.append('bbox', viewportBbox);
+  if (from != null) params.set('from', new Date(from).toISOString());
+  if (to != null) params.set('to', new Date(to).toISOString());
+  const query = params.toString().replace(/%2C/gi, ',');
+  return `${API_BASE}/api/export/constellation.${format}${query ? `?${query}` : ''}`;
+}
@@ -0,0 +1,84 @@
+import Sparkline from './Sparkline';
+import { formatBearing, formatCoord, formatDate, formatDelta, formatNumber, formatRate, formatSpeed } from '../utils/format';
+
+// One card in the Constellation Snapshot grid; clicking it selects the balloon without moving the map.
+export default function BalloonCard({ balloon, selected, nearQuake, contextProviders, onSelect }) {
+  return (
+    <article
+      className={`balloon-card ${selected ? 'is-selected' : ''} ${nearQuake ? 'is-near-quake' : ''}`}
+      onClick={() =>
+        onSelect(
+          balloon.balloonId,
+          balloon.nearestEarthquake?.id,
+          balloon.latest && { lat: balloon.latest.lat, lon: balloon.latest.lon },
+          { focus: false }
+        )
+      }
+    >
+      <header>
+        <h3>{balloon.balloonId}</h3>
+        <p>
+          {formatCoord(balloon.latest?.lat)}°, {formatCoord(balloon.latest?.lon)}°
+        </p>
+      </header>
+      <dl>
+        <div>
+          <dt>Last Seen</dt>
+          <dd>{formatDate(balloon.lastSeen)}</dd>
+        </div>
+        <div>
+          <dt>Altitude Δ</dt>
+          <dd>{formatDelta(balloon.altitudeDelta, 'm')}</dd>
+        </div>
+        <div>
+          <dt>Track Samples</dt>
+          <dd>{balloon.sampleCount ?? 'N/A'}</dd>
+        </div>
+        <div>
+          <dt>Total Distance</dt>
+          <dd>{formatNumber(balloon.totalDistanceKm)} km</dd>
+        </div>
+        <div>
+          <dt>Ground Speed</dt>
+          <dd>
+            {formatSpeed(balloon.kinematics?.latestSpeed)} · {formatBearing(balloon.kinematics?.latestBearing)}
+          </dd>
+        </div>
+        <div>
+          <dt>Max / Mean Speed</dt>
+          <dd>
+            {formatNumber(balloon.kinematics?.maxSpeed)} / {formatNumber(balloon.kinematics?.meanSpeed)} km/h
+          </dd>
+        </div>
+        <div>
+          <dt>Vertical Rate</dt>
+          <dd>{formatRate(balloon.kinematics?.latestVerticalRate)}</dd>
+        </div>
+      </dl>
+      <Sparkline track={balloon.track} />
+      {contextProviders.map((provider) => {
+        const feature = balloon.nearestContext?.[provider.id];
+        if (!feature) return null;
+        return (
+          <p key={provider.id} className="context-nearest">
+            Nearest {provider.label}: {feature.name} · {formatNumber(feature.distanceKm)} km
+          </p>
+        );
+      })}
+      {balloon.nearestEarthquake ? (
+        <footer>
+          <p className="foot-label">Nearest Quake</p>
+          <p className="foot-value">
+            {balloon.nearestEarthquake.place} · {balloon.nearestEarthquake.magnitude ?? '?'}M ·{' '}
+            {balloon.nearestEarthquake.distanceKm} km away
+          </p>
+        </footer>
+      ) : (
+        <footer>
+          <p className="foot-label">Nearest Quake</p>
+          <p className="foot-value">No quake in feed window</p>
+        </footer>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+
+import TrackChart from './TrackChart';
+import { API_BASE } from '../config';
+import {
+  formatDate,
+  formatNumber,
+  formatSpeed,
+  formatBearing,
+  formatRate,
+  formatCoord
+} from '../utils/format';
+
+// Side drawer with the full /api/balloons/:id record. It refetches whenever the dataset version
+// changes so an open drawer follows the live track.
+export default function BalloonDrawer({ balloonId, version, onClose, onSelectQuake }) {
+  const [detail, setDetail] = useState({ balloon: null, error: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/balloons/${encodeURIComponent(balloonId)}`, { signal: controller.signal })
+      .then((response) => {
+        if (response.status === 404) throw new Error('This balloon is not in the current 24-hour window.');
+        if (!response.ok) throw new Error(`Balloon error: ${response.status}`);
+        return response.json();
+      })
+      .then((balloon) => setDetail({ balloon, error: null }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') setDetail({ balloon: null, error: err.message });
+      });
+    return () => controller.abort();
+  }, [balloonId, version]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const balloon = detail.balloon?.balloonId === balloonId ? detail.balloon : null;
+  const track = balloon?.track || [];
+
+  return (
+    <aside className="drawer" aria-label={`Balloon ${balloonId} details`}>
+      <header className="drawer-header">
+        <div>
+          <p className="eyebrow">Balloon</p>
+          <h2>{balloonId}</h2>
+          <a className="drawer-link" href={`?balloon=${encodeURIComponent(balloonId)}`}>
+            Permalink
+          </a>
+        </div>
+        <button type="button" className="map-toggle" onClick={onClose}>
+          Close
+        </button>
+      </header>
+
+      {!balloon && <p className={detail.error ? 'status-error' : 'empty'}>{detail.error || 'Loading balloon…'}</p>}
+
+      {balloon && (
+        <>
+          <dl className="drawer-summary">
+            <div>
+              <dt>Last Seen</dt>
+              <dd>{formatDate(balloon.lastSeen)}</dd>
+            </div>
+            <div>
+              <dt>Samples</dt>
+              <dd>{balloon.sampleCount ?? track.length}</dd>
+            </div>
+            <div>
+              <dt>Total Distance</dt>
+              <dd>{formatNumber(balloon.totalDistanceKm)} km</dd>
+            </div>
+            <div>
+              <dt>Max Speed</dt>
+              <dd>{formatSpeed(balloon.kinematics?.maxSpeed)}</dd>
+            </div>
+          </dl>
+
+          <TrackChart track={track} field="altitude" label="Altitude" />
+          <TrackChart track={track} field="speed" label="Ground speed" unit=" km/h" />
+
+          <section className="drawer-section">
+            <h3>Earthquakes along the path</h3>
+            {balloon.pathEarthquakes?.length ? (
+              <ul className="drawer-quakes">
+                {balloon.pathEarthquakes.map((quake) => (
+                  <li
+                    key={quake.id}
+                    onClick={() => onSelectQuake(quake.id, { lat: quake.coordinates[1], lon: quake.coordinates[0] })}
+                  >
+                    <strong>{quake.magnitude ?? '?'}M</strong> {quake.place}
+                    <span>
+                      {quake.distanceKm} km at {formatDate(quake.closestAt)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="empty">No quakes came near this track.</p>
+            )}
+          </section>
+
+          <section className="drawer-section">
+            <h3>Track samples</h3>
+            <div className="drawer-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Lat</th>
+                    <th>Lon</th>
+                    <th>Alt</th>
+                    <th>Speed</th>
+                    <th>Bearing</th>
+                    <th>Vert. rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {track.map((point) => (
+                    <tr key={point.timestamp}>
+                      <td>{formatDate(point.timestamp)}</td>
+                      <td>{formatCoord(point.lat)}</td>
+                      <td>{formatCoord(point.lon)}</td>
+                      <td>{formatNumber(point.altitude, 2)}</td>
+                      <td>{formatSpeed(point.speed)}</td>
+                      <td>{formatBearing(point.bearing)}</td>
+                      <td>{formatRate(point.verticalRate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <details className="drawer-section">
+            <summary>Raw upstream payload</summary>
+            <pre>{JSON.stringify(track.map(({ timestamp, raw }) => ({ timestamp, raw })), null, 2)}</pre>
+          </details>
+        </>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,63 @@
+import { BALLOON_SORTS } from '../config';
+import { formatRegion } from '../utils/format';
+
+export default function BalloonFilters({ filters, drawingRegion, onChange, onToggleDraw, onReset }) {
+  const numberInput = (key, label, placeholder) => (
+    <label className="filter-field">
+      <span>{label}</span>
+      <input
+        type="number"
+        inputMode="decimal"
+        value={filters[key]}
+        placeholder={placeholder}
+        onChange={(event) => onChange({ [key]: event.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="balloon-filters">
+      <label className="filter-field filter-search">
+        <span>Balloon ID</span>
+        <input
+          type="search"
+          value={filters.query}
+          placeholder="Search by ID"
+          onChange={(event) => onChange({ query: event.target.value })}
+        />
+      </label>
+      {numberInput('minAlt', 'Min altitude', 'any')}
+      {numberInput('maxAlt', 'Max altitude', 'any')}
+      {numberInput('maxQuakeKm', 'Within km of a quake', 'any')}
+      {numberInput('minSamples', 'Min samples', 'any')}
+      <label className="filter-field">
+        <span>Sort by</span>
+        <select value={filters.sort} onChange={(event) => onChange({ sort: event.target.value })}>
+          {Object.entries(BALLOON_SORTS).map(([key, sort]) => (
+            <option key={key} value={key}>
+              {sort.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="filter-field">
+        <span>Region</span>
+        <div className="filter-region">
+          <button type="button" className="map-toggle" onClick={onToggleDraw}>
+            {drawingRegion ? 'Cancel drawing' : filters.region ? 'Redraw' : 'Draw on map'}
+          </button>
+          {filters.region && (
+            <button type="button" className="map-toggle" onClick={() => onChange({ region: null })}>
+              Clear
+            </button>
+          )}
+        </div>
+        {drawingRegion && <small>Drag a rectangle on the map.</small>}
+        {filters.region && !drawingRegion && <small>{formatRegion(filters.region)}</small>}
+      </div>
+      <button type="button" className="map-toggle filter-reset" onClick={onReset}>
+        Reset filters
+      </button>
+    </div>
+  );
+}
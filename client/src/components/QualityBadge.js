@@ -0,0 +1,32 @@
+import { API_BASE, qualityCopy } from '../config';
+import { formatNumber } from '../utils/format';
+
+export default function QualityBadge({ quality }) {
+  if (!quality) return null;
+
+  const reasons = Object.entries(quality.byReason || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `${code}: ${count}`);
+  const suspectCount = quality.suspectFrames?.length || 0;
+  const title = [
+    `${quality.dropped} of ${quality.samples} samples dropped`,
+    ...reasons,
+    suspectCount ? `Suspect hours: ${quality.suspectFrames.join(', ')}` : null
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  return (
+    <a
+      className={`quality-badge quality-${quality.level}`}
+      href={`${API_BASE}/api/quality`}
+      target="_blank"
+      rel="noreferrer"
+      title={title}
+    >
+      Data quality: {qualityCopy[quality.level] || quality.level} · {formatNumber(quality.droppedRatio * 100, 1)}%
+      dropped
+      {suspectCount > 0 && ` · ${suspectCount} suspect ${suspectCount === 1 ? 'hour' : 'hours'}`}
+    </a>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+
+import { API_BASE } from '../config';
+
+export default function QuestionForm() {
+  const [message, setMessage] = useState('');
+  const [contact, setContact] = useState('');
+  const [state, setState] = useState({ phase: 'idle', detail: null });
+  // Length limits come from the server; until they load (or if they fail to) only the server checks them.
+  const [limits, setLimits] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/questions/limits`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) => setLimits(json))
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setState({ phase: 'sending', detail: null });
+    try {
+      const res = await fetch(`${API_BASE}/api/questions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message, contact })
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(body.error || `Request failed with ${res.status}`);
+      }
+      setMessage('');
+      setState({ phase: 'sent', detail: `Thanks! Reference ${body.received?.id}.` });
+    } catch (err) {
+      setState({ phase: 'error', detail: err.message });
+    }
+  };
+
+  return (
+    <form className="question-form" onSubmit={submit}>
+      <label htmlFor="question-message">Ask a question</label>
+      <textarea
+        id="question-message"
+        rows={3}
+        minLength={limits?.messageMinLength}
+        maxLength={limits?.messageMaxLength}
+        value={message}
+        onChange={(event) => setMessage(event.target.value)}
+        placeholder="What would you like to know about the constellation?"
+        required
+      />
+      <input
+        type="text"
+        maxLength={limits?.contactMaxLength}
+        value={contact}
+        onChange={(event) => setContact(event.target.value)}
+        placeholder="Email or phone number"
+        aria-label="Contact info"
+        required
+      />
+      <div className="question-actions">
+        <button type="submit" className="map-toggle" disabled={state.phase === 'sending'}>
+          {state.phase === 'sending' ? 'Sending…' : 'Send'}
+        </button>
+        {state.detail && <span className={`question-status question-${state.phase}`}>{state.detail}</span>}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,25 @@
+export default function Sparkline({ track }) {
+  const points = (track || []).filter((pt) => Number.isFinite(pt.altitude));
+  if (points.length < 2) return null;
+
+  const minAltitude = Math.min(...points.map((p) => p.altitude));
+  const maxAltitude = Math.max(...points.map((p) => p.altitude));
+  const range = maxAltitude - minAltitude || 1;
+
+  const sparkPoints = points.map((pt, idx) => {
+    const x = (idx / (points.length - 1)) * 100;
+    const y = 30 - ((pt.altitude - minAltitude) / range) * 30;
+    return `${x},${y}`;
+  });
+
+  return (
+    <div className="sparkline">
+      <svg viewBox="0 0 100 30" preserveAspectRatio="none">
+        <polyline points={sparkPoints.join(' ')} />
+      </svg>
+      <p>
+        Alt trend · {Math.round(minAltitude)}m to {Math.round(maxAltitude)}m
+      </p>
+    </div>
+  );
+}
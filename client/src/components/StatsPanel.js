@@ -0,0 +1,86 @@
+import { formatNumber, formatLatitude } from '../utils/format';
+
+export default function StatsPanel({ stats }) {
+  if (!stats) return null;
+
+  const perHour = stats.balloonsPerHour.map((frame) => ({
+    label: new Date(frame.timestamp).toLocaleTimeString([], { hour: '2-digit' }),
+    value: frame.recordCount
+  }));
+  const altitude = stats.altitudeHistogram.bins.map((bin) => ({ label: `${bin.from}–${bin.to}`, value: bin.count }));
+  const latitude = [...stats.latitudeBands].reverse().map((band) => ({
+    label: `${formatLatitude(band.to)}…${formatLatitude(band.from)}`,
+    value: band.count
+  }));
+  const { hemispheres } = stats;
+
+  return (
+    <section className="panel stats-panel">
+      <h2>Fleet Analytics</h2>
+      <p className="panel-subtitle">Aggregates over the current 24-hour window, updated on every refresh.</p>
+      <dl className="stats-figures">
+        <div>
+          <dt>Balloons</dt>
+          <dd>{formatNumber(stats.balloonCount)}</dd>
+        </div>
+        <div>
+          <dt>Total Distance</dt>
+          <dd>{formatNumber(stats.distance.totalKm)} km</dd>
+        </div>
+        <div>
+          <dt>Median Distance</dt>
+          <dd>{formatNumber(stats.distance.medianKm)} km</dd>
+        </div>
+        <div>
+          <dt>Near a Quake</dt>
+          <dd title={`Nearest quake within ${stats.nearQuakes.radiusKm} km`}>{formatNumber(stats.nearQuakes.count)}</dd>
+        </div>
+        <div>
+          <dt>North / South</dt>
+          <dd>
+            {hemispheres.north} / {hemispheres.south}
+          </dd>
+        </div>
+        <div>
+          <dt>East / West</dt>
+          <dd>
+            {hemispheres.east} / {hemispheres.west}
+          </dd>
+        </div>
+      </dl>
+      <div className="stats-charts">
+        <BarChart title="Balloons per hour" bars={perHour} />
+        <BarChart title="Altitude histogram" bars={altitude} />
+        <BarChart title="Latitude bands" bars={latitude} horizontal />
+      </div>
+    </section>
+  );
+}
+
+function BarChart({ title, bars, horizontal = false }) {
+  const max = Math.max(1, ...bars.map((bar) => bar.value));
+
+  return (
+    <figure className={`bar-chart ${horizontal ? 'is-horizontal' : ''}`}>
+      <figcaption>{title}</figcaption>
+      <div className="bar-chart-bars">
+        {bars.map((bar, idx) => (
+          <div key={`${bar.label}-${idx}`} className="bar-chart-bar" title={`${bar.label}: ${bar.value}`}>
+            {horizontal && <span className="bar-chart-label">{bar.label}</span>}
+            <span
+              className="bar-chart-fill"
+              style={horizontal ? { width: `${(bar.value / max) * 100}%` } : { height: `${(bar.value / max) * 100}%` }}
+            />
+            {horizontal && <span className="bar-chart-value">{bar.value}</span>}
+          </div>
+        ))}
+      </div>
+      {!horizontal && bars.length > 0 && (
+        <div className="track-chart-axis">
+          <span>{bars[0].label}</span>
+          <span>{bars[bars.length - 1].label}</span>
+        </div>
+      )}
+    </figure>
+  );
+}
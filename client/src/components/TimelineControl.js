@@ -0,0 +1,45 @@
+import { PLAYBACK_SPEEDS } from '../config';
+import { formatDate } from '../utils/format';
+
+export default function TimelineControl({ start, end, playhead, playing, speed, onScrub, onTogglePlay, onStep, onSpeedChange, onLive }) {
+  if (start == null || end == null || start === end) return null;
+  const value = playhead ?? end;
+
+  return (
+    <div className="timeline">
+      <div className="timeline-buttons">
+        <button type="button" className="map-toggle" onClick={() => onStep(-1)} title="Previous hour">
+          ‹
+        </button>
+        <button type="button" className="map-toggle" onClick={onTogglePlay}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button type="button" className="map-toggle" onClick={() => onStep(1)} title="Next hour">
+          ›
+        </button>
+        <select className="timeline-speed" value={speed} onChange={(event) => onSpeedChange(Number(event.target.value))}>
+          {PLAYBACK_SPEEDS.map((option) => (
+            <option key={option} value={option}>
+              {option}x
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        className="timeline-range"
+        type="range"
+        min={start}
+        max={end}
+        step={60 * 1000}
+        value={value}
+        onChange={(event) => onScrub(Number(event.target.value))}
+      />
+      <div className="timeline-meta">
+        <span>{playhead == null ? 'Live' : formatDate(playhead)}</span>
+        <button type="button" className="map-toggle" disabled={playhead == null} onClick={onLive}>
+          Live
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { formatNumber } from '../utils/format';
+
+// Value-over-time line chart; x is scaled by timestamp so gaps in the track stay visible.
+export default function TrackChart({ track, field, label, unit = '' }) {
+  const points = track.filter((point) => Number.isFinite(point[field]) && point.timestamp);
+  if (points.length < 2) return null;
+
+  const times = points.map((point) => new Date(point.timestamp).getTime());
+  const values = points.map((point) => point[field]);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const timeRange = maxTime - minTime || 1;
+  const valueRange = maxValue - minValue || 1;
+
+  const linePoints = points.map((_, idx) => {
+    const x = ((times[idx] - minTime) / timeRange) * 100;
+    const y = 40 - ((values[idx] - minValue) / valueRange) * 40;
+    return `${x},${y}`;
+  });
+
+  return (
+    <figure className="track-chart">
+      <figcaption>
+        {label}
+        <span>
+          {formatNumber(minValue, 1)} – {formatNumber(maxValue, 1)}
+          {unit}
+        </span>
+      </figcaption>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none">
+        <polyline points={linePoints.join(' ')} />
+      </svg>
+      <div className="track-chart-axis">
+        <span>{new Date(minTime).toLocaleTimeString()}</span>
+        <span>{new Date(maxTime).toLocaleTimeString()}</span>
+      </div>
+    </figure>
+  );
+}
@@ -0,0 +1,193 @@
+import { memo, useEffect, useRef, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { CLUSTER_CELL_PX, CLUSTER_MAX_ZOOM } from '../../config';
+import { formatSpeed, formatBearing, formatRate, formatCoord } from '../../utils/format';
+
+// Every balloon is drawn on a shared canvas. Below CLUSTER_MAX_ZOOM, balloons sharing a screen cell
+// collapse into a cluster badge that zooms in when clicked; the selected and highlighted balloons are
+// always drawn on their own. Layers are kept by key and patched in place on each update.
+const BalloonsLayer = memo(function BalloonsLayer({
+  markers,
+  selectedBalloonId,
+  nearbyBalloonIds,
+  interactionLockRef,
+  onSelectBalloon
+}) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const rendererRef = useRef(null);
+  const pointsRef = useRef(new Map());
+  const clustersRef = useRef(new Map());
+  const onSelectRef = useRef(onSelectBalloon);
+  const [zoom, setZoom] = useState(() => map.getZoom());
+
+  useEffect(() => {
+    onSelectRef.current = onSelectBalloon;
+  }, [onSelectBalloon]);
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+      rendererRef.current = L.canvas({ padding: 0.5 });
+    }
+    const points = pointsRef.current;
+    const clusters = clustersRef.current;
+    const handleZoom = () => setZoom(map.getZoom());
+    map.on('zoomend', handleZoom);
+    return () => {
+      map.off('zoomend', handleZoom);
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+      points.clear();
+      clusters.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    const highlightSet = new Set(nearbyBalloonIds);
+    const pinned = new Set(highlightSet);
+    if (selectedBalloonId) pinned.add(selectedBalloonId);
+    const { singles, clusters } = clusterBalloonMarkers(markers, map, zoom, pinned);
+
+    const points = pointsRef.current;
+    const seenPoints = new Set();
+    singles.forEach((marker) => {
+      seenPoints.add(marker.id);
+      const style = balloonStyle(marker, marker.id === selectedBalloonId, highlightSet.has(marker.id));
+      const styleKey = JSON.stringify(style);
+      const entry = points.get(marker.id);
+      if (!entry) {
+        const circle = L.circleMarker([marker.lat, marker.lon], { ...style, renderer: rendererRef.current });
+        const created = { circle, marker, styleKey };
+        circle.on('click', () => {
+          if (interactionLockRef.current) return;
+          const current = created.marker;
+          onSelectRef.current(current.id, current.nearestQuakeId, { lat: current.lat, lon: current.lon });
+        });
+        circle.bindTooltip(balloonTooltip(marker), { direction: 'top', opacity: 0.9, sticky: true });
+        circle.addTo(layer);
+        points.set(marker.id, created);
+        return;
+      }
+      if (entry.marker === marker && entry.styleKey === styleKey) return;
+      if (entry.marker.lat !== marker.lat || entry.marker.lon !== marker.lon) {
+        entry.circle.setLatLng([marker.lat, marker.lon]);
+      }
+      if (entry.styleKey !== styleKey) {
+        entry.circle.setStyle(style);
+        entry.circle.setRadius(style.radius);
+        entry.styleKey = styleKey;
+      }
+      entry.circle.setTooltipContent(balloonTooltip(marker));
+      entry.marker = marker;
+    });
+    points.forEach((entry, id) => {
+      if (seenPoints.has(id)) return;
+      layer.removeLayer(entry.circle);
+      points.delete(id);
+    });
+    points.get(selectedBalloonId)?.circle.bringToFront();
+
+    const clusterLayers = clustersRef.current;
+    const seenClusters = new Set();
+    clusters.forEach((cluster) => {
+      seenClusters.add(cluster.key);
+      const entry = clusterLayers.get(cluster.key);
+      if (!entry) {
+        const badge = L.marker(cluster.center, { icon: clusterIcon(cluster.count) });
+        const created = { badge, cluster };
+        badge.on('click', () => {
+          if (interactionLockRef.current) return;
+          map.fitBounds(created.cluster.bounds, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM });
+        });
+        badge.bindTooltip(`${cluster.count} balloons · click to zoom in`, { direction: 'top', opacity: 0.9 });
+        badge.addTo(layer);
+        clusterLayers.set(cluster.key, created);
+        return;
+      }
+      entry.badge.setLatLng(cluster.center);
+      if (entry.cluster.count !== cluster.count) {
+        entry.badge.setIcon(clusterIcon(cluster.count));
+        entry.badge.setTooltipContent(`${cluster.count} balloons · click to zoom in`);
+      }
+      entry.cluster = cluster;
+    });
+    clusterLayers.forEach((entry, key) => {
+      if (seenClusters.has(key)) return;
+      layer.removeLayer(entry.badge);
+      clusterLayers.delete(key);
+    });
+  }, [interactionLockRef, map, markers, nearbyBalloonIds, selectedBalloonId, zoom]);
+
+  return null;
+});
+
+function balloonStyle(marker, isSelected, isHighlighted) {
+  return {
+    radius: Math.max(4, Math.min(9, (marker.altitude || 0) / 2000 + 4)),
+    color: isSelected ? '#facc15' : isHighlighted ? '#bef264' : '#38bdf8',
+    weight: isSelected ? 3 : isHighlighted ? 2 : 1.5,
+    fillOpacity: isSelected || isHighlighted ? 1 : 0.7
+  };
+}
+
+function balloonTooltip(marker) {
+  return (
+    `${marker.id}<br/>${formatCoord(marker.lat)}°, ${formatCoord(marker.lon)}°<br/>` +
+    `${formatSpeed(marker.speed)} · ${formatBearing(marker.bearing)} · ${formatRate(marker.verticalRate)}`
+  );
+}
+
+function clusterIcon(count) {
+  const size = count < 10 ? 28 : count < 100 ? 34 : 42;
+  return L.divIcon({
+    className: 'balloon-cluster',
+    html: `<span>${count}</span>`,
+    iconSize: [size, size]
+  });
+}
+
+// Buckets markers by CLUSTER_CELL_PX screen cell at the given zoom. Cells holding a single balloon,
+// and every `pinned` balloon, come back as singles; the rest become clusters at their members' centroid.
+function clusterBalloonMarkers(markers, map, zoom, pinned) {
+  if (zoom >= CLUSTER_MAX_ZOOM) return { singles: markers, clusters: [] };
+
+  const cells = new Map();
+  const singles = [];
+  markers.forEach((marker) => {
+    if (pinned.has(marker.id)) {
+      singles.push(marker);
+      return;
+    }
+    const point = map.project([marker.lat, marker.lon], zoom);
+    const key = `${zoom}:${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(marker);
+  });
+
+  const clusters = [];
+  cells.forEach((members, key) => {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      return;
+    }
+    const lat = members.reduce((sum, member) => sum + member.lat, 0) / members.length;
+    const lon = members.reduce((sum, member) => sum + member.lon, 0) / members.length;
+    clusters.push({
+      key,
+      count: members.length,
+      center: [lat, lon],
+      bounds: L.latLngBounds(members.map((member) => [member.lat, member.lon]))
+    });
+  });
+
+  return { singles, clusters };
+}
+
+export default BalloonsLayer;
@@ -0,0 +1,78 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { formatNumber, formatCoord } from '../../utils/format';
+
+// Features are kept by id and patched in place, like BalloonsLayer, so a feed refresh only touches
+// the features that moved, changed or disappeared.
+const ContextLayer = memo(function ContextLayer({ layer }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const circlesRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+    }
+    const circles = circlesRef.current;
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+      circles.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const group = layerRef.current;
+    if (!group) return;
+    const circles = circlesRef.current;
+    const seen = new Set();
+    layer.markers.forEach((marker) => {
+      seen.add(marker.id);
+      const tooltip = contextTooltip(layer, marker);
+      const entry = circles.get(marker.id);
+      if (!entry) {
+        const circle = L.circleMarker([marker.lat, marker.lon], contextStyle(layer))
+          .bindTooltip(tooltip, { direction: 'top', opacity: 0.9, sticky: true })
+          .addTo(group);
+        circles.set(marker.id, { circle, marker, color: layer.color, tooltip });
+        return;
+      }
+      if (entry.marker.lat !== marker.lat || entry.marker.lon !== marker.lon) {
+        entry.circle.setLatLng([marker.lat, marker.lon]);
+      }
+      if (entry.color !== layer.color) {
+        entry.circle.setStyle(contextStyle(layer));
+        entry.color = layer.color;
+      }
+      if (entry.tooltip !== tooltip) {
+        entry.circle.setTooltipContent(tooltip);
+        entry.tooltip = tooltip;
+      }
+      entry.marker = marker;
+    });
+    circles.forEach((entry, id) => {
+      if (seen.has(id)) return;
+      group.removeLayer(entry.circle);
+      circles.delete(id);
+    });
+  }, [layer]);
+
+  return null;
+});
+
+function contextStyle(layer) {
+  return { radius: 5, color: layer.color, weight: 1.5, fillOpacity: 0.6 };
+}
+
+function contextTooltip(layer, marker) {
+  return (
+    `${layer.label}<br/>${marker.name}${marker.value == null ? '' : ` · ${formatNumber(marker.value, 1)}`}<br/>` +
+    `${formatCoord(marker.lat)}°, ${formatCoord(marker.lon)}°`
+  );
+}
+
+export default ContextLayer;
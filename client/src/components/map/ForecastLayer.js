@@ -0,0 +1,50 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { formatDate, formatNumber } from '../../utils/format';
+import { unwrapPath } from '../../utils/geo';
+
+const ForecastLayer = memo(function ForecastLayer({ forecast }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+    }
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!forecast?.points?.length) return;
+
+    const origin = forecast.origin;
+    const cone = unwrapPath(forecast.cone || []);
+    const path = unwrapPath([[origin.lat, origin.lon], ...forecast.points.map((point) => [point.lat, point.lon])]);
+    if (cone.length > 2) {
+      L.polygon(cone, { color: '#facc15', weight: 1, opacity: 0.4, fillOpacity: 0.12, interactive: false }).addTo(layer);
+    }
+    L.polyline(path, { color: '#facc15', weight: 2, opacity: 0.9, dashArray: '6 6' }).addTo(layer);
+    forecast.points.forEach((point, idx) => {
+      L.circleMarker(path[idx + 1], { radius: 3, color: '#facc15', weight: 1, fillOpacity: 0.8 })
+        .bindTooltip(`+${point.hoursAhead}h · ±${formatNumber(point.uncertaintyKm)} km<br/>${formatDate(point.timestamp)}`, {
+          direction: 'top',
+          opacity: 0.9
+        })
+        .addTo(layer);
+    });
+  }, [forecast]);
+
+  return null;
+});
+
+export default ForecastLayer;
@@ -0,0 +1,46 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { unwrapPath } from '../../utils/geo';
+
+const GeofenceLayer = memo(function GeofenceLayer({ geofences }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+    }
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    geofences.forEach((geofence) => {
+      const style = { color: '#fb923c', weight: 1.5, dashArray: '4 4', fillOpacity: 0.06 };
+      const shape =
+        geofence.type === 'circle'
+          ? L.circle([geofence.center.lat, geofence.center.lon], { ...style, radius: geofence.radiusKm * 1000 })
+          : L.polygon(unwrapPath(geofence.coordinates.map(([lon, lat]) => [lat, lon])), style);
+      shape
+        .bindTooltip(`${geofence.name}<br/>${geofence.insideCount ?? 0} balloons inside`, {
+          direction: 'top',
+          opacity: 0.9,
+          sticky: true
+        })
+        .addTo(layer);
+    });
+  }, [geofences]);
+
+  return null;
+});
+
+export default GeofenceLayer;
@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+export default function MapAutoCenter({ mapFocus, onMapFocusConsumed }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!mapFocus) return;
+    const [lat, lon] = mapFocus.center;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    map.flyTo([lat, lon], mapFocus.zoom ?? 4, { duration: 1.1 });
+    if (onMapFocusConsumed) onMapFocusConsumed();
+  }, [mapFocus, map, onMapFocusConsumed]);
+
+  return null;
+}
@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+export default function MapInteractionGuard({ interactionLockRef, onUserInteraction }) {
+  const map = useMap();
+  useEffect(() => {
+    const handleStart = () => {
+      interactionLockRef.current = true;
+      if (onUserInteraction) onUserInteraction();
+    };
+    const handleEnd = () => {
+      interactionLockRef.current = false;
+    };
+    map.on('dragstart', handleStart);
+    map.on('dragend', handleEnd);
+    map.on('movestart', handleStart);
+    map.on('moveend', handleEnd);
+    map.on('zoomstart', handleStart);
+    map.on('zoomend', handleEnd);
+    return () => {
+      map.off('dragstart', handleStart);
+      map.off('dragend', handleEnd);
+      map.off('movestart', handleStart);
+      map.off('moveend', handleEnd);
+    };
+  }, [interactionLockRef, map]);
+  return null;
+}
@@ -0,0 +1,84 @@
+import { memo, useRef } from 'react';
+import { MapContainer, TileLayer } from 'react-leaflet';
+
+import BalloonsLayer from './BalloonsLayer';
+import ContextLayer from './ContextLayer';
+import ForecastLayer from './ForecastLayer';
+import GeofenceLayer from './GeofenceLayer';
+import MapAutoCenter from './MapAutoCenter';
+import MapInteractionGuard from './MapInteractionGuard';
+import MapViewportReporter from './MapViewportReporter';
+import QuakeLayer from './QuakeLayer';
+import RegionDrawTool from './RegionDrawTool';
+import TrackLayer from './TrackLayer';
+import WindLayer from './WindLayer';
+
+const MapView = memo(function MapView({
+  balloonMarkers,
+  balloonTracks,
+  quakeMarkers,
+  selectedBalloonId,
+  selectedQuakeId,
+  nearbyBalloonIds = [],
+  mapFocus,
+  onMapFocusConsumed,
+  onUserInteraction,
+  onViewportChange,
+  initialView,
+  showTracks,
+  winds,
+  forecast,
+  contextLayers = [],
+  geofences = [],
+  region,
+  drawingRegion,
+  onRegionDrawn,
+  onSelectBalloon,
+  onSelectQuake
+}) {
+  const interactionLockRef = useRef(false);
+
+  return (
+    <div className="map-wrapper">
+      <MapContainer
+        center={initialView ? [initialView.lat, initialView.lon] : [0, 0]}
+        zoom={initialView?.zoom ?? 2}
+        minZoom={2}
+        className="leaflet-map"
+        worldCopyJump
+        scrollWheelZoom={{ center: true }}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <MapInteractionGuard interactionLockRef={interactionLockRef} onUserInteraction={onUserInteraction} />
+        <MapAutoCenter mapFocus={mapFocus} onMapFocusConsumed={onMapFocusConsumed} />
+        <MapViewportReporter onViewportChange={onViewportChange} />
+        <RegionDrawTool active={drawingRegion} region={region} onRegionDrawn={onRegionDrawn} />
+        {showTracks && <TrackLayer tracks={balloonTracks} selectedBalloonId={selectedBalloonId} />}
+        {winds && <WindLayer cells={winds.cells} gridDeg={winds.gridDeg} />}
+        <ForecastLayer forecast={forecast} />
+        {contextLayers.map((layer) => (
+          <ContextLayer key={layer.id} layer={layer} />
+        ))}
+        <GeofenceLayer geofences={geofences} />
+        <BalloonsLayer
+          markers={balloonMarkers}
+          selectedBalloonId={selectedBalloonId}
+          nearbyBalloonIds={nearbyBalloonIds}
+          interactionLockRef={interactionLockRef}
+          onSelectBalloon={onSelectBalloon}
+        />
+        <QuakeLayer
+          markers={quakeMarkers}
+          selectedQuakeId={selectedQuakeId}
+          interactionLockRef={interactionLockRef}
+          onSelectQuake={onSelectQuake}
+        />
+      </MapContainer>
+    </div>
+  );
+});
+
+export default MapView;
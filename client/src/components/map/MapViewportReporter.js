@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+import { boundsToBbox } from '../../utils/geo';
+
+export default function MapViewportReporter({ onViewportChange }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!onViewportChange) return undefined;
+    const report = () => {
+      const center = map.getCenter().wrap();
+      onViewportChange(boundsToBbox(map.getBounds()), {
+        lat: Number(center.lat.toFixed(3)),
+        lon: Number(center.lng.toFixed(3)),
+        zoom: map.getZoom()
+      });
+    };
+    report();
+    map.on('moveend', report);
+    return () => {
+      map.off('moveend', report);
+    };
+  }, [map, onViewportChange]);
+
+  return null;
+}
@@ -0,0 +1,99 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { formatNumber, formatCoord } from '../../utils/format';
+
+// Quakes are kept by id and patched in place, like BalloonsLayer, so a playback tick only restyles
+// the circles whose fade changed.
+const QuakeLayer = memo(function QuakeLayer({
+  markers,
+  selectedQuakeId,
+  interactionLockRef,
+  onSelectQuake
+}) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const circlesRef = useRef(new Map());
+  const onSelectRef = useRef(onSelectQuake);
+
+  useEffect(() => {
+    onSelectRef.current = onSelectQuake;
+  }, [onSelectQuake]);
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+    }
+    const circles = circlesRef.current;
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+      circles.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    const circles = circlesRef.current;
+    const seen = new Set();
+    markers.forEach((marker) => {
+      seen.add(marker.id);
+      const style = quakeStyle(marker, marker.id === selectedQuakeId);
+      const styleKey = JSON.stringify(style);
+      const entry = circles.get(marker.id);
+      if (!entry) {
+        const circle = L.circleMarker([marker.lat, marker.lon], style);
+        const created = { circle, marker, styleKey };
+        circle.on('click', () => {
+          if (interactionLockRef.current) return;
+          const current = created.marker;
+          onSelectRef.current(current.id, { lat: current.lat, lon: current.lon });
+        });
+        circle.bindTooltip(quakeTooltip(marker), { direction: 'top', opacity: 0.9, sticky: true });
+        circle.addTo(layer);
+        circles.set(marker.id, created);
+        return;
+      }
+      if (entry.marker === marker && entry.styleKey === styleKey) return;
+      if (entry.marker.lat !== marker.lat || entry.marker.lon !== marker.lon) {
+        entry.circle.setLatLng([marker.lat, marker.lon]);
+      }
+      if (entry.styleKey !== styleKey) {
+        entry.circle.setStyle(style);
+        entry.circle.setRadius(style.radius);
+        entry.styleKey = styleKey;
+      }
+      entry.circle.setTooltipContent(quakeTooltip(marker));
+      entry.marker = marker;
+    });
+    circles.forEach((entry, id) => {
+      if (seen.has(id)) return;
+      layer.removeLayer(entry.circle);
+      circles.delete(id);
+    });
+    circles.get(selectedQuakeId)?.circle.bringToFront();
+  }, [interactionLockRef, markers, selectedQuakeId]);
+
+  return null;
+});
+
+function quakeStyle(marker, isSelected) {
+  const fade = marker.fade ?? 1;
+  return {
+    radius: Math.max(5, marker.magnitude * 1.3),
+    color: isSelected ? '#f43f5e' : '#f87171',
+    weight: isSelected ? 4 : 1.5,
+    opacity: fade,
+    fillOpacity: (isSelected ? 1 : 0.7) * fade
+  };
+}
+
+function quakeTooltip(marker) {
+  return `${formatNumber(marker.magnitude, 1)}M<br/>${formatCoord(marker.lat)}°, ${formatCoord(marker.lon)}°`;
+}
+
+export default QuakeLayer;
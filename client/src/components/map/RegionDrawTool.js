@@ -0,0 +1,71 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { boundsToRegion } from '../../utils/geo';
+
+// Shows the region filter on the map and, while `active`, turns a drag into a new region instead of a pan.
+export default function RegionDrawTool({ active, region, onRegionDrawn }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!region) return undefined;
+    const east = region.east < region.west ? region.east + 360 : region.east;
+    const rectangle = L.rectangle(
+      [
+        [region.south, region.west],
+        [region.north, east]
+      ],
+      { color: '#a78bfa', weight: 2, dashArray: '6 4', fillOpacity: 0.05, interactive: false }
+    ).addTo(map);
+    return () => rectangle.remove();
+  }, [map, region]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const container = map.getContainer();
+    let start = null;
+    let preview = null;
+
+    const handleDown = (event) => {
+      start = event.latlng;
+      preview = L.rectangle(L.latLngBounds(start, start), {
+        color: '#a78bfa',
+        weight: 1,
+        fillOpacity: 0.1,
+        interactive: false
+      }).addTo(map);
+    };
+    const handleMove = (event) => {
+      if (start) preview.setBounds(L.latLngBounds(start, event.latlng));
+    };
+    const handleUp = (event) => {
+      if (!start) return;
+      const bounds = L.latLngBounds(start, event.latlng);
+      preview.remove();
+      preview = null;
+      start = null;
+      const from = map.latLngToContainerPoint(bounds.getNorthWest());
+      const to = map.latLngToContainerPoint(bounds.getSouthEast());
+      // A click without a drag leaves the current region alone.
+      if (Math.abs(to.x - from.x) < 5 || Math.abs(to.y - from.y) < 5) return;
+      onRegionDrawn(boundsToRegion(bounds));
+    };
+
+    map.dragging.disable();
+    container.classList.add('is-drawing');
+    map.on('mousedown', handleDown);
+    map.on('mousemove', handleMove);
+    map.on('mouseup', handleUp);
+    return () => {
+      map.off('mousedown', handleDown);
+      map.off('mousemove', handleMove);
+      map.off('mouseup', handleUp);
+      if (preview) preview.remove();
+      container.classList.remove('is-drawing');
+      map.dragging.enable();
+    };
+  }, [active, map, onRegionDrawn]);
+
+  return null;
+}
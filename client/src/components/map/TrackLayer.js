@@ -0,0 +1,74 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+// Tracks are drawn on a shared canvas and kept in a map by balloon ID, so a refresh only touches the
+// paths that changed and a selection change only restyles the two affected tracks.
+const TrackLayer = memo(function TrackLayer({ tracks, selectedBalloonId }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const rendererRef = useRef(null);
+  const linesRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+      rendererRef.current = L.canvas({ padding: 0.5 });
+    }
+    const lines = linesRef.current;
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+      lines.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    const lines = linesRef.current;
+    const seen = new Set();
+    tracks.forEach((track) => {
+      seen.add(track.id);
+      const existing = lines.get(track.id);
+      if (existing) {
+        if (!samePath(existing.path, track.path)) {
+          existing.line.setLatLngs(track.path);
+          existing.path = track.path;
+        }
+        return;
+      }
+      const line = L.polyline(track.path, { ...trackStyle(false), renderer: rendererRef.current }).addTo(layer);
+      lines.set(track.id, { line, path: track.path });
+    });
+    lines.forEach((entry, id) => {
+      if (seen.has(id)) return;
+      layer.removeLayer(entry.line);
+      lines.delete(id);
+    });
+  }, [tracks]);
+
+  useEffect(() => {
+    const entry = linesRef.current.get(selectedBalloonId);
+    if (!entry) return undefined;
+    entry.line.setStyle(trackStyle(true));
+    entry.line.bringToFront();
+    return () => entry.line.setStyle(trackStyle(false));
+  }, [selectedBalloonId, tracks]);
+
+  return null;
+});
+
+function trackStyle(isSelected) {
+  return isSelected ? { color: '#facc15', weight: 3, opacity: 0.9 } : { color: '#38bdf8', weight: 2, opacity: 0.45 };
+}
+
+function samePath(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((point, idx) => point[0] === b[idx][0] && point[1] === b[idx][1]);
+}
+
+export default TrackLayer;
@@ -0,0 +1,73 @@
+import { memo, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+import { WIND_ARROW_MAX_KMH } from '../../config';
+import { formatNumber } from '../../utils/format';
+
+// One arrow per wind cell, centred on the cell and pointing where the wind blows. Length and colour
+// follow the speed; faint arrows mark cells whose drift vectors disagree.
+const WindLayer = memo(function WindLayer({ cells, gridDeg }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const rendererRef = useRef(null);
+
+  useEffect(() => {
+    if (!layerRef.current) {
+      layerRef.current = L.layerGroup().addTo(map);
+      rendererRef.current = L.canvas({ padding: 0.5 });
+    }
+    return () => {
+      if (layerRef.current) {
+        layerRef.current.remove();
+        layerRef.current = null;
+      }
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    cells.forEach((cell) => {
+      const ratio = Math.min(1, cell.speedKmh / WIND_ARROW_MAX_KMH);
+      const length = gridDeg * (0.25 + 0.55 * ratio);
+      const offset = (bearing, distance) => {
+        const heading = (bearing * Math.PI) / 180;
+        const lonScale = Math.max(0.2, Math.cos((cell.lat * Math.PI) / 180));
+        return [distance * Math.cos(heading), (distance * Math.sin(heading)) / lonScale];
+      };
+      const [dLat, dLon] = offset(cell.bearing, length / 2);
+      const tail = [cell.lat - dLat, cell.lon - dLon];
+      const head = [cell.lat + dLat, cell.lon + dLon];
+      const wing = (turn) => {
+        const [wLat, wLon] = offset(cell.bearing + turn, length * 0.3);
+        return [head[0] + wLat, head[1] + wLon];
+      };
+
+      L.polyline(
+        [
+          [tail, head],
+          [wing(150), head, wing(-150)]
+        ],
+        {
+          renderer: rendererRef.current,
+          color: `hsl(${Math.round(200 - 200 * ratio)}, 85%, 60%)`,
+          weight: 2,
+          opacity: 0.35 + 0.6 * (cell.steadiness ?? 1)
+        }
+      )
+        .bindTooltip(
+          `${formatNumber(cell.speedKmh, 1)} km/h toward ${cell.bearing}°<br/>${cell.count} drift ${
+            cell.count === 1 ? 'segment' : 'segments'
+          }`,
+          { direction: 'top', opacity: 0.9, sticky: true }
+        )
+        .addTo(layer);
+    });
+  }, [cells, gridDeg]);
+
+  return null;
+});
+
+export default WindLayer;
@@ -0,0 +1,66 @@
+export const API_BASE = process.env.REACT_APP_API_BASE || '';
+export const REFRESH_MS = Number(process.env.REACT_APP_REFRESH_MS || 120000);
+export const STREAM_RECONNECT_MS = 10000;
+export const FORECAST_HOURS = 6;
+export const PLAYBACK_TICK_MS = 250;
+export const PLAYBACK_STEP_MS = 5 * 60 * 1000;
+export const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+export const QUAKE_FADE_MS = 2 * 60 * 60 * 1000;
+export const VIEWPORT_DEBOUNCE_MS = 400;
+export const EXPORT_FORMATS = [
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'kml', label: 'KML' },
+  { format: 'csv', label: 'CSV' }
+];
+export const DEFAULT_QUAKE_RADIUS_KM = 700;
+// Balloons are grouped into screen cells of this many pixels until the map reaches CLUSTER_MAX_ZOOM.
+export const CLUSTER_CELL_PX = 48;
+export const CLUSTER_MAX_ZOOM = 6;
+export const CARD_PAGE_SIZE = 12;
+export const ALERT_LIST_SIZE = 20;
+export const ENCOUNTER_LIST_SIZE = 8;
+// Wind arrows reach their full length (most of a grid cell) at this speed.
+export const WIND_ARROW_MAX_KMH = 150;
+export const DEFAULT_FILTERS = {
+  query: '',
+  minAlt: '',
+  maxAlt: '',
+  maxQuakeKm: '',
+  minSamples: '',
+  region: null,
+  sort: 'lastSeen'
+};
+// Query parameter for each free-form filter field; `region` and `sort` are encoded separately.
+export const FILTER_PARAMS = {
+  query: 'q',
+  minAlt: 'minAlt',
+  maxAlt: 'maxAlt',
+  maxQuakeKm: 'maxQuakeKm',
+  minSamples: 'minSamples'
+};
+// Card and map ordering; every sort is descending with missing values last.
+export const BALLOON_SORTS = {
+  lastSeen: { label: 'Last seen', value: (balloon) => Date.parse(balloon.lastSeen) },
+  distance: { label: 'Distance travelled', value: (balloon) => balloon.totalDistanceKm },
+  altitudeChange: { label: 'Altitude change', value: (balloon) => Math.abs(balloon.altitudeDelta) }
+};
+
+export const statusCopy = {
+  idle: 'Waiting for data...',
+  loading: 'Loading live constellation data...',
+  ready: 'Live data streaming',
+  error: 'Unable to load data',
+  partial: 'Live data, some sources missing',
+  stale: 'Data may be out of date'
+};
+
+export const sourceLabels = {
+  windborne: 'Windborne',
+  earthquakes: 'USGS earthquakes'
+};
+
+export const qualityCopy = {
+  good: 'Good',
+  fair: 'Fair',
+  poor: 'Poor'
+};
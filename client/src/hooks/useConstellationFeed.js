@@ -0,0 +1,186 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import { ALERT_LIST_SIZE, API_BASE, REFRESH_MS, STREAM_RECONNECT_MS } from '../config';
+import { applyConstellationDelta } from '../utils/balloons';
+
+// Keeps the constellation, quake feed and the side panels' data current: listens on /api/stream and
+// falls back to polling while the stream is down. `viewportBboxRef` holds the server `bbox` filter for
+// the constellation request; `refresh` refetches immediately, e.g. after the viewport moved. While that
+// filter is set, `fleet` holds a track-less summary of every balloon, otherwise it is null and the
+// constellation itself is the whole fleet.
+export default function useConstellationFeed(viewportBboxRef) {
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState('');
+  const [liveMode, setLiveMode] = useState('polling');
+  const [constellation, setConstellation] = useState(null);
+  const [fleet, setFleet] = useState(null);
+  const [earthquakes, setEarthquakes] = useState([]);
+  const [contextProviders, setContextProviders] = useState([]);
+  const [geofences, setGeofences] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [upstream, setUpstream] = useState(null);
+  const constellationEtagRef = useRef(null);
+  const constellationKeyRef = useRef(null);
+  const earthquakeMetaRef = useRef(null);
+  const fleetEtagRef = useRef(null);
+  const refreshRef = useRef(null);
+
+  useEffect(() => {
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let source = null;
+    let disposed = false;
+
+    // `delta` asks only for what changed since the version we hold, as long as it was fetched for
+    // the same viewport; anything else (first load, polling, a new viewport) fetches in full.
+    const fetchAll = async ({ delta = false } = {}) => {
+      setStatus('loading');
+      setError('');
+      try {
+        const bbox = viewportBboxRef.current;
+        const constellationParams = new URLSearchParams({ fields: '-raw' });
+        if (bbox) constellationParams.set('bbox', bbox);
+        if (delta && constellationEtagRef.current && constellationKeyRef.current === `${constellationEtagRef.current}|${bbox}`) {
+          constellationParams.set('since', constellationEtagRef.current);
+        }
+        const [constellationResponse, earthquakesResponse] = await Promise.all([
+          fetch(`${API_BASE}/api/constellation?${constellationParams}`),
+          fetch(`${API_BASE}/api/earthquakes`)
+        ]);
+
+        if (!constellationResponse.ok) throw new Error(`Constellation error: ${constellationResponse.status}`);
+        if (!earthquakesResponse.ok) throw new Error(`Earthquake error: ${earthquakesResponse.status}`);
+
+        const constellationJson = await constellationResponse.json();
+        const earthquakesJson = await earthquakesResponse.json();
+
+        const constellationKey = `${constellationJson?.meta?.etag}|${bbox}`;
+        if (constellationJson?.mode === 'delta') {
+          constellationEtagRef.current = constellationJson.etag;
+          constellationKeyRef.current = constellationKey;
+          setConstellation((prev) => applyConstellationDelta(prev, constellationJson));
+        } else if (constellationJson?.meta?.etag && constellationKeyRef.current === constellationKey) {
+          // no change
+        } else {
+          constellationEtagRef.current = constellationJson?.meta?.etag || Date.now().toString();
+          constellationKeyRef.current = constellationKey;
+          setConstellation(constellationJson);
+        }
+
+        // Fetched once per dataset version, however often the viewport moves.
+        if (!bbox) {
+          fleetEtagRef.current = null;
+          setFleet(null);
+        } else if (fleetEtagRef.current !== constellationEtagRef.current) {
+          const fleetResponse = await fetch(`${API_BASE}/api/constellation?fields=-raw,-track`);
+          if (!fleetResponse.ok) throw new Error(`Constellation error: ${fleetResponse.status}`);
+          const fleetJson = await fleetResponse.json();
+          fleetEtagRef.current = fleetJson.meta?.etag || null;
+          setFleet(fleetJson.balloons || []);
+        }
+
+        const incomingEarthquakes = earthquakesJson.earthquakes || [];
+        if (earthquakeMetaRef.current?.lastRefresh === earthquakesJson.meta?.lastRefresh) {
+          // unchanged
+        } else {
+          earthquakeMetaRef.current = earthquakesJson.meta || null;
+          setEarthquakes(incomingEarthquakes);
+        }
+
+        // Context layers are optional extras; a failure here should not flag the whole dashboard.
+        const contextResponse = await fetch(`${API_BASE}/api/context`).catch(() => null);
+        if (contextResponse?.ok) {
+          const contextJson = await contextResponse.json();
+          setContextProviders(contextJson.providers || []);
+        }
+        const [geofencesResponse, alertsResponse, statsResponse, upstreamResponse] = await Promise.all([
+          fetch(`${API_BASE}/api/geofences`).catch(() => null),
+          fetch(`${API_BASE}/api/alerts?limit=${ALERT_LIST_SIZE}`).catch(() => null),
+          fetch(`${API_BASE}/api/stats`).catch(() => null),
+          fetch(`${API_BASE}/api/status`).catch(() => null)
+        ]);
+        if (geofencesResponse?.ok) setGeofences((await geofencesResponse.json()).geofences || []);
+        if (alertsResponse?.ok) setAlerts((await alertsResponse.json()).alerts || []);
+        if (statsResponse?.ok) setStats(await statsResponse.json());
+        if (upstreamResponse?.ok) setUpstream(await upstreamResponse.json());
+        setStatus('ready');
+      } catch (err) {
+        console.error(err);
+        setError(err.message);
+        setStatus('error');
+      }
+    };
+
+    // Polling only runs while the push stream is down; the stream's first event triggers the initial load.
+    const startPolling = () => {
+      setLiveMode('polling');
+      if (pollTimer) return;
+      fetchAll();
+      pollTimer = setInterval(fetchAll, REFRESH_MS);
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const connect = () => {
+      if (disposed) return;
+      source = new EventSource(`${API_BASE}/api/stream`);
+      source.onopen = () => {
+        stopPolling();
+        setLiveMode('stream');
+      };
+      source.addEventListener('refresh', (event) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(event.data);
+        } catch {
+          // fall through and refetch
+        }
+        if (payload?.etag && payload.etag === constellationEtagRef.current) return;
+        fetchAll({ delta: true });
+      });
+      source.onerror = () => {
+        startPolling();
+        // The browser retries on its own unless the stream was rejected outright.
+        if (source.readyState === EventSource.CLOSED) {
+          source.close();
+          reconnectTimer = setTimeout(connect, STREAM_RECONNECT_MS);
+        }
+      };
+    };
+
+    refreshRef.current = fetchAll;
+    if (typeof EventSource === 'function') {
+      connect();
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      disposed = true;
+      refreshRef.current = null;
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+    };
+  }, [viewportBboxRef]);
+
+  const refresh = useCallback(() => refreshRef.current?.(), []);
+
+  return {
+    status,
+    error,
+    liveMode,
+    constellation,
+    fleet,
+    earthquakes,
+    contextProviders,
+    geofences,
+    alerts,
+    stats,
+    upstream,
+    refresh
+  };
+}
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+import { PLAYBACK_STEP_MS, PLAYBACK_TICK_MS } from '../config';
+
+// Playback: `playhead` is null while showing live positions, otherwise a time inside the frame window.
+export default function usePlayback(frames) {
+  const [playhead, setPlayhead] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const frameTimes = useMemo(
+    () =>
+      (frames || [])
+        .map((frame) => Number(frame.timestamp))
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b),
+    [frames]
+  );
+  const start = frameTimes[0] ?? null;
+  const end = frameTimes[frameTimes.length - 1] ?? null;
+
+  useEffect(() => {
+    if (!playing || start == null) return undefined;
+    const timer = setInterval(() => {
+      setPlayhead((prev) => Math.min(end, (prev ?? start) + PLAYBACK_STEP_MS * speed));
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, start, end]);
+
+  useEffect(() => {
+    if (playing && playhead != null && playhead >= end) setPlaying(false);
+  }, [playing, playhead, end]);
+
+  const step = useCallback(
+    (direction) => {
+      if (!frameTimes.length) return;
+      setPlaying(false);
+      setPlayhead((prev) => {
+        const current = prev ?? end;
+        const next =
+          direction > 0
+            ? frameTimes.find((time) => time > current)
+            : [...frameTimes].reverse().find((time) => time < current);
+        return next ?? current;
+      });
+    },
+    [frameTimes, end]
+  );
+
+  const scrub = useCallback((value) => {
+    setPlaying(false);
+    setPlayhead(value);
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    if (!playing && (playhead == null || playhead >= end)) setPlayhead(start);
+    setPlaying((prev) => !prev);
+  }, [playing, playhead, start, end]);
+
+  const goLive = useCallback(() => {
+    setPlaying(false);
+    setPlayhead(null);
+  }, []);
+
+  return { playhead, playing, speed, start, end, setSpeed, step, scrub, togglePlay, goLive };
+}
@@ -0,0 +1,104 @@
+import { BALLOON_SORTS } from '../config';
+
+// Applies a `?since=` patch from /api/constellation: drops removed balloons, trims and extends
+// appended tracks, swaps in fully replaced ones and adds the new arrivals at the end.
+export function applyConstellationDelta(previous, delta) {
+  if (!previous) return previous;
+  const removed = new Set(delta.removed);
+  const updates = new Map(delta.updated.map((entry) => [entry.balloonId, entry]));
+
+  const balloons = previous.balloons
+    .filter((balloon) => !removed.has(balloon.balloonId))
+    .map((balloon) => {
+      const patch = updates.get(balloon.balloonId);
+      if (!patch) return balloon;
+      if (!patch.appendedPoints) return patch;
+
+      const { appendedPoints, trimBefore, ...summary } = patch;
+      const cutoff = new Date(trimBefore).getTime();
+      const kept = (balloon.track || []).filter((point) => new Date(point.timestamp).getTime() >= cutoff);
+      return { ...summary, track: [...kept, ...appendedPoints] };
+    });
+
+  return {
+    ...previous,
+    balloons: [...balloons, ...delta.added],
+    frames: delta.frames,
+    earthquakes: delta.earthquakes,
+    meta: delta.meta
+  };
+}
+
+// Position along a track at `time`, interpolated between the bracketing samples (shortest way
+// round in longitude). Returns null outside the track's time span.
+export function positionAt(track, time) {
+  const points = (track || []).filter((point) => Number.isFinite(point.lat) && Number.isFinite(point.lon));
+  if (!points.length) return null;
+  const times = points.map((point) => new Date(point.timestamp).getTime());
+  if (time < times[0] || time > times[times.length - 1]) return null;
+
+  const idx = times.findIndex((value) => value >= time);
+  if (times[idx] === time || idx === 0) {
+    const point = points[idx];
+    return { lat: point.lat, lon: point.lon, altitude: point.altitude ?? null };
+  }
+
+  const prev = points[idx - 1];
+  const next = points[idx];
+  const ratio = (time - times[idx - 1]) / (times[idx] - times[idx - 1]);
+  let lonDelta = next.lon - prev.lon;
+  if (lonDelta > 180) lonDelta -= 360;
+  if (lonDelta < -180) lonDelta += 360;
+  const lon = prev.lon + lonDelta * ratio;
+  const altitude =
+    Number.isFinite(prev.altitude) && Number.isFinite(next.altitude)
+      ? prev.altitude + (next.altitude - prev.altitude) * ratio
+      : prev.altitude ?? null;
+
+  return { lat: prev.lat + (next.lat - prev.lat) * ratio, lon: ((lon + 540) % 360) - 180, altitude };
+}
+
+export function filterBalloons(balloons, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const minAlt = parseFilterNumber(filters.minAlt);
+  const maxAlt = parseFilterNumber(filters.maxAlt);
+  const maxQuakeKm = parseFilterNumber(filters.maxQuakeKm);
+  const minSamples = parseFilterNumber(filters.minSamples);
+  const sortValue = (BALLOON_SORTS[filters.sort] || BALLOON_SORTS.lastSeen).value;
+
+  return balloons
+    .filter((balloon) => {
+      if (query && !String(balloon.balloonId).toLowerCase().includes(query)) return false;
+      const altitude = balloon.latest?.altitude;
+      if (minAlt != null && !(altitude >= minAlt)) return false;
+      if (maxAlt != null && !(altitude <= maxAlt)) return false;
+      // The nearest quake is the closest of all of them, so this is "within N km of any quake".
+      if (maxQuakeKm != null && !(balloon.nearestEarthquake?.distanceKm <= maxQuakeKm)) return false;
+      if (minSamples != null && !((balloon.sampleCount ?? balloon.track?.length ?? 0) >= minSamples)) return false;
+      if (filters.region && !inRegion(balloon.latest, filters.region)) return false;
+      return true;
+    })
+    .map((balloon) => ({ balloon, value: sortValue(balloon) }))
+    .sort((a, b) => {
+      const aValid = Number.isFinite(a.value);
+      const bValid = Number.isFinite(b.value);
+      if (aValid !== bValid) return aValid ? -1 : 1;
+      return aValid ? b.value - a.value : 0;
+    })
+    .map(({ balloon }) => balloon);
+}
+
+export function parseFilterNumber(value) {
+  if (value === '' || value == null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Regions follow the server's bbox convention: west > east crosses the antimeridian.
+function inRegion(point, region) {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lon)) return false;
+  if (point.lat < region.south || point.lat > region.north) return false;
+  return region.west <= region.east
+    ? point.lon >= region.west && point.lon <= region.east
+    : point.lon >= region.west || point.lon <= region.east;
+}
@@ -0,0 +1,75 @@
+import { sourceLabels } from '../config';
+
+export function formatDate(value) {
+  if (!value) return 'N/A';
+  try {
+    const date = new Date(value);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+  } catch {
+    return value;
+  }
+}
+
+export function formatDelta(value, unit = '') {
+  if (value == null || Number.isNaN(value)) return 'N/A';
+  const rounded = Math.round(value);
+  const display = rounded > 0 ? `+${rounded}` : `${rounded}`;
+  return unit ? `${display} ${unit}` : display;
+}
+
+export function formatNumber(value, decimals = 0) {
+  if (value == null || Number.isNaN(Number(value))) return 'N/A';
+  const num = Number(value);
+  return decimals > 0 ? num.toFixed(decimals) : Math.round(num).toString();
+}
+
+export function formatSpeed(value) {
+  return Number.isFinite(value) ? `${Math.round(value)} km/h` : 'N/A';
+}
+
+export function formatBearing(value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  const compass = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(value / 45) % 8];
+  return `${Math.round(value)}° ${compass}`;
+}
+
+export function formatRate(value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  const display = value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+  return `${display} /h`;
+}
+
+export function describeSourceIssue(source, contextProviders) {
+  const providerId = source.id.startsWith('context:') ? source.id.slice('context:'.length) : null;
+  const label =
+    sourceLabels[source.id] || contextProviders.find((provider) => provider.id === providerId)?.label || providerId || source.id;
+  const lastSuccess = source.lastSuccessAt ? new Date(source.lastSuccessAt).toLocaleTimeString() : null;
+
+  if (source.status === 'degraded') {
+    const count = source.missingHours.length;
+    return `${label}: ${count} ${count === 1 ? 'hour' : 'hours'} missing`;
+  }
+  if (source.status === 'stale') return `${label}: no update since ${lastSuccess}`;
+  return lastSuccess ? `${label}: failing, last success ${lastSuccess}` : `${label}: unavailable`;
+}
+
+export function formatOffset(minutes, interpolated) {
+  if (!Number.isFinite(minutes)) return 'N/A';
+  if (minutes === 0) return interpolated ? 'at quake time (interpolated)' : 'at quake time';
+  const span = Math.abs(minutes) >= 90 ? `${formatNumber(Math.abs(minutes) / 60, 1)} h` : `${Math.abs(minutes)} min`;
+  return `${span} ${minutes > 0 ? 'after' : 'before'}`;
+}
+
+export function formatLatitude(value) {
+  return value === 0 ? '0°' : `${Math.abs(value)}°${value > 0 ? 'N' : 'S'}`;
+}
+
+export function formatCoord(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : 'N/A';
+}
+
+export function formatRegion(region) {
+  return `${formatCoord(region.south)}° to ${formatCoord(region.north)}° lat · ${formatCoord(region.west)}° to ${formatCoord(
+    region.east
+  )}° lon`;
+}
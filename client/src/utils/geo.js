@@ -0,0 +1,55 @@
+export function boundsToRegion(bounds) {
+  const spansWorld = bounds.getEast() - bounds.getWest() >= 360;
+  return {
+    west: spansWorld ? -180 : Number(wrapLon(bounds.getWest()).toFixed(2)),
+    east: spansWorld ? 180 : Number(wrapLon(bounds.getEast()).toFixed(2)),
+    south: Number(Math.max(-90, bounds.getSouth()).toFixed(2)),
+    north: Number(Math.min(90, bounds.getNorth()).toFixed(2))
+  };
+}
+
+// A drawn region as the server's `bbox` filter (minLon,minLat,maxLon,maxLat).
+export function regionToBbox(region) {
+  return [region.west, region.south, region.east, region.north].join(',');
+}
+
+// Converts Leaflet bounds into the server's `bbox` filter, padded by a fifth on each side so small
+// pans stay inside what was already fetched. Returns null when the padded view covers the globe.
+export function boundsToBbox(bounds) {
+  const padLon = (bounds.getEast() - bounds.getWest()) * 0.2;
+  const padLat = (bounds.getNorth() - bounds.getSouth()) * 0.2;
+  const south = Math.max(-90, bounds.getSouth() - padLat);
+  const north = Math.min(90, bounds.getNorth() + padLat);
+  let west = bounds.getWest() - padLon;
+  let east = bounds.getEast() + padLon;
+
+  if (east - west >= 360) {
+    if (south <= -89.9 && north >= 89.9) return null;
+    west = -180;
+    east = 180;
+  } else {
+    west = wrapLon(west);
+    east = wrapLon(east);
+  }
+  return [west, south, east, north].map((value) => value.toFixed(2)).join(',');
+}
+
+function wrapLon(lon) {
+  const wrapped = ((((lon + 180) % 360) + 360) % 360) - 180;
+  return wrapped === -180 && lon > 0 ? 180 : wrapped;
+}
+
+// Shifts longitudes so consecutive points never jump across the antimeridian when drawn.
+export function unwrapPath(path) {
+  const result = [];
+  path.forEach(([lat, lon]) => {
+    if (!result.length) {
+      result.push([lat, lon]);
+      return;
+    }
+    const prevLon = result[result.length - 1][1];
+    const shift = Math.round((prevLon - lon) / 360) * 360;
+    result.push([lat, lon + shift]);
+  });
+  return result;
+}
@@ -0,0 +1,68 @@
+import { DEFAULT_FILTERS, FILTER_PARAMS, BALLOON_SORTS } from '../config';
+import { parseFilterNumber } from './balloons';
+
+// Dashboard state carried in the query string: `balloon` (plus `drawer=0` when its detail drawer is
+// closed), `quake`, `tracks=1`, `map=lat,lon,zoom`, and the filters (`q`, `minAlt`, `maxAlt`,
+// `maxQuakeKm`, `minSamples`, `region=south,west,north,east`, `sort`). Malformed values are ignored.
+export function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const balloonId = params.get('balloon') || null;
+
+  const [lat, lon, zoom] = (params.get('map') || '').split(',').map(parseFilterNumber);
+  const view =
+    Number.isFinite(lat) && Number.isFinite(lon) && Number.isFinite(zoom) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+      ? { lat, lon, zoom: Math.max(2, Math.round(zoom)) }
+      : null;
+
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(FILTER_PARAMS).forEach(([field, key]) => {
+    const value = params.get(key);
+    if (value == null) return;
+    if (field === 'query' || parseFilterNumber(value) != null) filters[field] = value;
+  });
+  const [south, west, north, east] = (params.get('region') || '').split(',').map(parseFilterNumber);
+  const region = { south, west, north, east };
+  if (Object.values(region).every(Number.isFinite) && south <= north && south >= -90 && north <= 90) {
+    if (Math.abs(west) <= 180 && Math.abs(east) <= 180) filters.region = region;
+  }
+  if (BALLOON_SORTS[params.get('sort')]) filters.sort = params.get('sort');
+
+  return {
+    balloonId,
+    detailBalloonId: balloonId && params.get('drawer') !== '0' ? balloonId : null,
+    quakeId: params.get('quake') || null,
+    showTracks: params.get('tracks') === '1',
+    view,
+    filters
+  };
+}
+
+export function writeUrlState({ balloonId, detailBalloonId, quakeId, showTracks, view, filters }, { push = false } = {}) {
+  const url = new URL(window.location.href);
+  const set = (key, value) => {
+    if (value == null || value === '') {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  };
+
+  set('balloon', balloonId);
+  set('drawer', balloonId && detailBalloonId !== balloonId ? '0' : null);
+  set('quake', quakeId);
+  set('tracks', showTracks ? '1' : null);
+  set('map', view ? `${view.lat},${view.lon},${view.zoom}` : null);
+  Object.entries(FILTER_PARAMS).forEach(([field, key]) => set(key, filters[field]));
+  const { region } = filters;
+  set('region', region ? [region.south, region.west, region.north, region.east].join(',') : null);
+  set('sort', filters.sort === DEFAULT_FILTERS.sort ? null : filters.sort);
+  // Commas are legal in a query string; keeping them readable makes pasted links easier to scan.
+  url.search = url.searchParams.toString().replace(/%2C/gi, ',');
+
+  if (url.href === window.location.href) return;
+  if (push) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+}
@@ -0,0 +1,57 @@
+import { DEFAULT_FILTERS } from '../config';
+import { readUrlState, writeUrlState } from './urlState';
+
+const state = {
+  balloonId: 'W-12',
+  detailBalloonId: 'W-12',
+  quakeId: 'us7000abcd',
+  showTracks: true,
+  view: { lat: 12.5, lon: -40.25, zoom: 5 },
+  filters: {
+    ...DEFAULT_FILTERS,
+    query: 'W-1',
+    minAlt: '8',
+    region: { south: -10, west: 170, north: 10, east: -170 },
+    sort: 'distance'
+  }
+};
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('a written state reads back unchanged', () => {
+  writeUrlState(state);
+  expect(window.location.search).toBe(
+    '?balloon=W-12&quake=us7000abcd&tracks=1&map=12.5,-40.25,5&q=W-1&minAlt=8&region=-10,170,10,-170&sort=distance'
+  );
+  expect(readUrlState()).toEqual(state);
+});
+
+test('a closed drawer is kept apart from the selection', () => {
+  writeUrlState({ ...state, detailBalloonId: null });
+  expect(new URLSearchParams(window.location.search).get('drawer')).toBe('0');
+  expect(readUrlState().detailBalloonId).toBeNull();
+});
+
+test('default values leave the query string empty', () => {
+  const empty = { balloonId: null, detailBalloonId: null, quakeId: null, showTracks: false, view: null, filters: DEFAULT_FILTERS };
+  writeUrlState(empty);
+  expect(window.location.search).toBe('');
+  expect(readUrlState()).toEqual(empty);
+});
+
+test('malformed values are ignored', () => {
+  window.history.replaceState(null, '', '/?map=95,10,3&minAlt=high&region=10,0,-10,5&sort=sideways&q=W');
+  const { view, filters } = readUrlState();
+  expect(view).toBeNull();
+  expect(filters).toEqual({ ...DEFAULT_FILTERS, query: 'W' });
+});
+
+test('push adds a history entry and replace does not', () => {
+  const length = window.history.length;
+  writeUrlState(state);
+  expect(window.history.length).toBe(length);
+  writeUrlState({ ...state, quakeId: null }, { push: true });
+  expect(window.history.length).toBe(length + 1);
+});
@@ -0,0 +1,159 @@
+const path = require('path');
+const fs = require('fs');
+
+const {
+  ARCHIVE_DIR,
+  ARCHIVE_RETENTION_HOURS,
+  HISTORY_CACHE_SIZE,
+  MAX_HISTORY_WINDOW_HOURS,
+  MAX_LOOKBACK_HOURS
+} = require('./config');
+const { countEntries, hashContent } = require('./util');
+const { buildBalloonTracks } = require('./tracks');
+
+// Content hash of each archived hour file, so refreshes only rewrite the hours that changed.
+const archivedHashes = new Map();
+// Built history (frame summaries and tracks) per archive ETag, oldest first, capped at HISTORY_CACHE_SIZE.
+const historyCache = new Map();
+
+// One JSON file per real hour (e.g. `2026-10-19T13.json`). Rewrites of the same hour replace the
+// file, so the archive holds the latest copy of each frame.
+async function archiveFrames(frames) {
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+
+  for (const frame of frames) {
+    const hourKey = toHourKey(frame.timestamp);
+    const target = path.join(ARCHIVE_DIR, `${hourKey}.json`);
+    if (!archivedHashes.has(hourKey)) archivedHashes.set(hourKey, await readArchivedHash(target));
+    if (archivedHashes.get(hourKey) === frame.hash) continue;
+
+    const record = {
+      hour: hourKey,
+      timestamp: frame.timestamp,
+      archivedAt: new Date().toISOString(),
+      hash: frame.hash,
+      raw: frame.raw
+    };
+    await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(record));
+    await fs.promises.rename(`${target}.tmp`, target);
+    archivedHashes.set(hourKey, frame.hash);
+  }
+
+  await pruneArchive();
+}
+
+// Hash stored with an archived hour by an earlier run, or null if there is none.
+async function readArchivedHash(target) {
+  try {
+    return JSON.parse(await fs.promises.readFile(target, 'utf8')).hash ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function pruneArchive() {
+  const cutoff = Date.now() - ARCHIVE_RETENTION_HOURS * 3600 * 1000;
+  const files = await listArchiveFiles();
+  for (const file of files) {
+    if (file.time < cutoff) {
+      await fs.promises.unlink(path.join(ARCHIVE_DIR, file.name)).catch(() => {});
+      archivedHashes.delete(file.name.replace(/\.json$/, ''));
+    }
+  }
+}
+
+async function listArchiveFiles() {
+  let names;
+  try {
+    names = await fs.promises.readdir(ARCHIVE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return names
+    .map((name) => {
+      const match = /^(\d{4}-\d{2}-\d{2}T\d{2})\.json$/.exec(name);
+      if (!match) return null;
+      const time = Date.parse(`${match[1]}:00:00.000Z`);
+      return Number.isNaN(time) ? null : { name, time };
+    })
+    .filter(Boolean);
+}
+
+// Frames and tracks for [from, to]. The ETag is a digest of the archive files in the window and
+// their modification times, so repeat requests reuse the built history until one of them changes.
+async function loadArchivedHistory(from, to) {
+  const files = await listWindowFiles(from, to);
+  const etag = hashContent(files.map((file) => `${file.name}:${file.mtimeMs}`)).slice(0, 16);
+
+  if (historyCache.has(etag)) {
+    const cached = historyCache.get(etag);
+    historyCache.delete(etag);
+    historyCache.set(etag, cached);
+    return cached;
+  }
+
+  const build = readArchivedFrames(files).then((frames) => ({
+    etag,
+    frames: frames.map(({ hourTag, timestamp, recordCount }) => ({ hourTag, timestamp, recordCount })),
+    balloons: buildBalloonTracks(frames)
+  }));
+  build.catch(() => historyCache.delete(etag));
+  historyCache.set(etag, build);
+  while (historyCache.size > HISTORY_CACHE_SIZE) historyCache.delete(historyCache.keys().next().value);
+  return build;
+}
+
+async function listWindowFiles(from, to) {
+  const files = (await listArchiveFiles())
+    .filter((file) => file.time > from.getTime() - 3600 * 1000 && file.time <= to.getTime())
+    .sort((a, b) => a.time - b.time);
+  const stats = await Promise.all(
+    files.map((file) => fs.promises.stat(path.join(ARCHIVE_DIR, file.name)).catch(() => null))
+  );
+  return files.map((file, idx) => ({ ...file, mtimeMs: stats[idx]?.mtimeMs ?? null }));
+}
+
+// Rebuilds frames from archive files. Hour tags count back from the newest archived hour in the
+// window, so a window ending now yields the same balloon IDs as the live constellation.
+async function readArchivedFrames(files) {
+  if (!files.length) return [];
+
+  const newest = files[files.length - 1].time;
+  const frames = [];
+  for (const file of files) {
+    try {
+      const record = JSON.parse(await fs.promises.readFile(path.join(ARCHIVE_DIR, file.name), 'utf8'));
+      const timestamp = Number(record.timestamp) || file.time;
+      const hourTag = Math.round((newest - file.time) / (3600 * 1000)).toString().padStart(2, '0');
+      frames.push({ hourTag, timestamp, raw: record.raw, recordCount: countEntries(record.raw) });
+    } catch (error) {
+      console.warn(`Failed to read archived frame ${file.name}:`, error.message);
+    }
+  }
+  return frames;
+}
+
+function resolveHistoryWindow(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - MAX_LOOKBACK_HOURS * 3600 * 1000);
+
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+    return { error: 'Invalid "from" or "to" timestamp' };
+  }
+  if (from > to) {
+    return { error: '"from" must be before "to"' };
+  }
+  if (to - from > MAX_HISTORY_WINDOW_HOURS * 3600 * 1000) {
+    return { error: `History window cannot exceed ${MAX_HISTORY_WINDOW_HOURS} hours` };
+  }
+
+  return { from, to };
+}
+
+function toHourKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 13);
+}
+
+module.exports = { archiveFrames, loadArchivedHistory, resolveHistoryWindow };
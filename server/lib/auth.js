@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+const { ADMIN_TOKEN } = require('./config');
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const supplied = Buffer.from(match ? match[1].trim() : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+module.exports = { requireAdmin };
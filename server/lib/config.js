@@ -0,0 +1,143 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const PORT = Number(process.env.PORT || 4000);
+const REFRESH_INTERVAL_MS = Number(process.env.REFRESH_INTERVAL_MS || 5 * 60 * 1000);
+// A source (or the whole dataset) counts as stale after this many refresh intervals without a success.
+const STALE_AFTER_INTERVALS = 2;
+const MAX_LOOKBACK_HOURS = 24;
+// Gates for linking coordinate-only points across frames. Altitude follows the feed's units (km).
+const TRACK_MAX_DRIFT_KMH = Number(process.env.TRACK_MAX_DRIFT_KMH || 250);
+const TRACK_MAX_ALTITUDE_DELTA_PER_HOUR = Number(process.env.TRACK_MAX_ALTITUDE_DELTA_PER_HOUR || 6);
+const TRACK_MAX_GAP_HOURS = 3;
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'data', 'archive');
+const ARCHIVE_RETENTION_HOURS = Number(process.env.ARCHIVE_RETENTION_HOURS || 14 * 24);
+const MAX_HISTORY_WINDOW_HOURS = 7 * 24;
+const HISTORY_CACHE_SIZE = 8;
+const FORECAST_DEFAULT_HOURS = 6;
+const FORECAST_MAX_HOURS = 24;
+const FORECAST_FIT_HOURS = 3;
+const FORECAST_BASE_UNCERTAINTY_KM = 15;
+// Telemetry sanity limits. Altitude follows the feed's units (km).
+const QUALITY_MAX_SPEED_KMH = Number(process.env.QUALITY_MAX_SPEED_KMH || 400);
+const QUALITY_MAX_ALTITUDE = Number(process.env.QUALITY_MAX_ALTITUDE || 50);
+const QUALITY_SUSPECT_FRAME_RATIO = 0.05;
+const MAX_PAGE_LIMIT = 5000;
+const DELTA_HISTORY_SIZE = 12;
+const SPATIAL_CELL_DEG = 2;
+const NEAR_DEFAULT_RADIUS_KM = 700;
+const STATS_ALTITUDE_BIN = 2;
+const STATS_LATITUDE_BAND_DEG = 30;
+// Wind field: drift vectors are averaged into WIND_GRID_DEG cells per WIND_ALTITUDE_BAND of altitude
+// (feed units). Segments linked with less than WIND_MIN_LINK_CONFIDENCE are left out.
+const WIND_GRID_DEG = 10;
+const WIND_ALTITUDE_BAND = 5;
+const WIND_MIN_LINK_CONFIDENCE = 0.5;
+const ENCOUNTER_DEFAULT_RADIUS_KM = 300;
+const ENCOUNTER_MAX_RADIUS_KM = 2000;
+const ENCOUNTER_DEFAULT_WINDOW_HOURS = 2;
+const ENCOUNTER_MAX_WINDOW_HOURS = 12;
+const EARTH_HALF_CIRCUMFERENCE_KM = Math.PI * 6371;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 5000;
+const QUESTIONS_FILE = process.env.QUESTIONS_FILE || path.join(__dirname, '..', 'data', 'questions.json');
+const QUESTION_MIN_LENGTH = 10;
+const QUESTION_MAX_LENGTH = 2000;
+const CONTACT_MAX_LENGTH = 200;
+const QUESTION_STATUSES = ['open', 'answered', 'closed'];
+const QUESTION_RATE_LIMIT = Number(process.env.QUESTION_RATE_LIMIT || 5);
+const QUESTION_RATE_WINDOW_MS = 15 * 60 * 1000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const GEOFENCES_FILE = process.env.GEOFENCES_FILE || path.join(__dirname, '..', 'data', 'geofences.json');
+// Webhook URLs that receive every geofence alert, on top of each fence's own `webhooks`.
+const GEOFENCE_WEBHOOKS = (process.env.GEOFENCE_WEBHOOKS || '')
+  .split(',')
+  .map((url) => url.trim())
+  .filter(Boolean);
+const GEOFENCE_NAME_MAX_LENGTH = 100;
+const GEOFENCE_MAX_VERTICES = 500;
+const GEOFENCE_MAX_WEBHOOKS = 5;
+const ALERT_HISTORY_SIZE = 500;
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 2000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Offline fixtures: `record` saves every upstream payload under FIXTURE_DIR, `replay` reads the feeds
+// back from there instead of the network (and in place of any WIND_BASE_URL / EARTHQUAKE_URL override).
+const FIXTURE_MODE = parseFixtureMode(process.env.FIXTURE_MODE);
+const FIXTURE_DIR = path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, '..', 'data', 'fixtures'));
+const WIND_BASE_URL =
+  FIXTURE_MODE === 'replay'
+    ? pathToFileURL(path.join(FIXTURE_DIR, 'windborne')).href
+    : process.env.WIND_BASE_URL || 'https://a.windbornesystems.com/treasure';
+const EARTHQUAKE_URL =
+  FIXTURE_MODE === 'replay'
+    ? pathToFileURL(path.join(FIXTURE_DIR, 'earthquakes.json')).href
+    : process.env.EARTHQUAKE_URL || 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_day.geojson';
+if (FIXTURE_MODE === 'replay' && (process.env.WIND_BASE_URL || process.env.EARTHQUAKE_URL)) {
+  console.warn('FIXTURE_MODE=replay reads both feeds from FIXTURE_DIR; ignoring WIND_BASE_URL and EARTHQUAKE_URL');
+}
+
+function parseFixtureMode(value) {
+  if (!value) return null;
+  if (value === 'record' || value === 'replay') return value;
+  console.warn(`Ignoring FIXTURE_MODE "${value}": expected "record" or "replay"`);
+  return null;
+}
+
+module.exports = {
+  PORT,
+  REFRESH_INTERVAL_MS,
+  STALE_AFTER_INTERVALS,
+  MAX_LOOKBACK_HOURS,
+  TRACK_MAX_DRIFT_KMH,
+  TRACK_MAX_ALTITUDE_DELTA_PER_HOUR,
+  TRACK_MAX_GAP_HOURS,
+  ARCHIVE_DIR,
+  ARCHIVE_RETENTION_HOURS,
+  MAX_HISTORY_WINDOW_HOURS,
+  HISTORY_CACHE_SIZE,
+  FORECAST_DEFAULT_HOURS,
+  FORECAST_MAX_HOURS,
+  FORECAST_FIT_HOURS,
+  FORECAST_BASE_UNCERTAINTY_KM,
+  QUALITY_MAX_SPEED_KMH,
+  QUALITY_MAX_ALTITUDE,
+  QUALITY_SUSPECT_FRAME_RATIO,
+  MAX_PAGE_LIMIT,
+  DELTA_HISTORY_SIZE,
+  SPATIAL_CELL_DEG,
+  NEAR_DEFAULT_RADIUS_KM,
+  STATS_ALTITUDE_BIN,
+  STATS_LATITUDE_BAND_DEG,
+  WIND_GRID_DEG,
+  WIND_ALTITUDE_BAND,
+  WIND_MIN_LINK_CONFIDENCE,
+  ENCOUNTER_DEFAULT_RADIUS_KM,
+  ENCOUNTER_MAX_RADIUS_KM,
+  ENCOUNTER_DEFAULT_WINDOW_HOURS,
+  ENCOUNTER_MAX_WINDOW_HOURS,
+  EARTH_HALF_CIRCUMFERENCE_KM,
+  STREAM_HEARTBEAT_MS,
+  STREAM_RETRY_MS,
+  QUESTIONS_FILE,
+  QUESTION_MIN_LENGTH,
+  QUESTION_MAX_LENGTH,
+  CONTACT_MAX_LENGTH,
+  QUESTION_STATUSES,
+  QUESTION_RATE_LIMIT,
+  QUESTION_RATE_WINDOW_MS,
+  ADMIN_TOKEN,
+  GEOFENCES_FILE,
+  GEOFENCE_WEBHOOKS,
+  GEOFENCE_NAME_MAX_LENGTH,
+  GEOFENCE_MAX_VERTICES,
+  GEOFENCE_MAX_WEBHOOKS,
+  ALERT_HISTORY_SIZE,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_TIMEOUT_MS,
+  FIXTURE_MODE,
+  FIXTURE_DIR,
+  WIND_BASE_URL,
+  EARTHQUAKE_URL
+};
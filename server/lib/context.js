@@ -0,0 +1,147 @@
+const axios = require('axios');
+
+const { REFRESH_INTERVAL_MS, STALE_AFTER_INTERVALS } = require('./config');
+const { cache } = require('./state');
+const { hashContent, parseTimestamp, pickNumber } = require('./util');
+const { createSpatialIndex, quakeLatLon } = require('./geo');
+const { recordSourceResult } = require('./health');
+
+const CONTEXT_PROVIDERS = loadContextProviders(process.env.CONTEXT_PROVIDERS);
+
+// Context providers are extra GeoJSON point feeds (volcano alerts, fire hotspots, sensor networks)
+// configured through CONTEXT_PROVIDERS, a JSON array of:
+//   { id, label, url, color?, refreshIntervalMs?, fields?: { id?, name?, time?, value? } }
+// where `fields` names the feature properties to read. Each provider refreshes on its own timer and
+// every balloon gets its nearest feature per provider under `nearestContext[id]`.
+function loadContextProviders(rawConfig) {
+  if (!rawConfig) return [];
+
+  let configs;
+  try {
+    configs = JSON.parse(rawConfig);
+  } catch (error) {
+    console.warn('Ignoring CONTEXT_PROVIDERS: invalid JSON:', error.message);
+    return [];
+  }
+  if (!Array.isArray(configs)) {
+    console.warn('Ignoring CONTEXT_PROVIDERS: expected a JSON array');
+    return [];
+  }
+
+  const seen = new Set();
+  return configs
+    .map((config) => {
+      if (!config || !/^[a-z0-9-]+$/.test(config.id || '') || typeof config.url !== 'string') {
+        console.warn('Ignoring context provider without a lowercase "id" and a "url":', config);
+        return null;
+      }
+      if (config.id === 'earthquakes' || seen.has(config.id)) {
+        console.warn(`Ignoring duplicate context provider "${config.id}"`);
+        return null;
+      }
+      seen.add(config.id);
+      return createGeoJsonProvider(config);
+    })
+    .filter(Boolean);
+}
+
+function createGeoJsonProvider(config) {
+  const fields = { id: 'id', name: 'name', time: 'time', value: 'value', ...config.fields };
+  return {
+    id: config.id,
+    label: config.label || config.id,
+    url: config.url,
+    color: config.color || '#a78bfa',
+    refreshIntervalMs: Number(config.refreshIntervalMs) || REFRESH_INTERVAL_MS,
+    async fetch() {
+      const response = await axios.get(config.url, { timeout: 10000 });
+      return normalizeGeoJsonPoints(response?.data, config.id, fields);
+    }
+  };
+}
+
+function normalizeGeoJsonPoints(payload, providerId, fields) {
+  const features = Array.isArray(payload?.features) ? payload.features : [];
+  return features
+    .map((feature, idx) => {
+      if (feature?.geometry?.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) return null;
+      const [lon, lat] = feature.geometry.coordinates.map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+      const properties = feature.properties || {};
+      return {
+        id: String(feature.id ?? properties[fields.id] ?? `${providerId}-${idx}`),
+        providerId,
+        name: properties[fields.name] ?? properties.title ?? properties.place ?? 'Unnamed',
+        occurredAt: parseTimestamp(properties[fields.time]),
+        value: pickNumber(properties[fields.value]),
+        url: properties.url ?? null,
+        coordinates: [lon, lat]
+      };
+    })
+    .filter(Boolean);
+}
+
+function describeContextProvider(provider) {
+  const state = cache.context[provider.id];
+  return {
+    id: provider.id,
+    label: provider.label,
+    color: provider.color,
+    refreshIntervalMs: provider.refreshIntervalMs,
+    lastRefresh: state?.lastRefresh ?? null,
+    lastError: state?.lastError ?? null,
+    featureCount: state?.features.length ?? 0
+  };
+}
+
+// Keeps the previous features when a fetch fails so one flaky feed does not blank its layer.
+async function refreshContextProvider(provider) {
+  const previous = cache.context[provider.id];
+  const sourceId = `context:${provider.id}`;
+  const startedAt = Date.now();
+  try {
+    const features = await provider.fetch();
+    recordSourceResult(sourceId, { latencyMs: Date.now() - startedAt, staleAfterMs: provider.refreshIntervalMs * STALE_AFTER_INTERVALS });
+    cache.context[provider.id] = {
+      features,
+      hash: hashContent(features),
+      index: createSpatialIndex(features, quakeLatLon),
+      lastRefresh: new Date().toISOString(),
+      lastError: null
+    };
+  } catch (error) {
+    console.warn(`Failed to load context provider ${provider.id}:`, error.message);
+    recordSourceResult(sourceId, {
+      latencyMs: Date.now() - startedAt,
+      failed: true,
+      error: error.message,
+      staleAfterMs: provider.refreshIntervalMs * STALE_AFTER_INTERVALS
+    });
+    cache.context[provider.id] = {
+      features: previous?.features || [],
+      hash: previous?.hash || null,
+      index: previous?.index || createSpatialIndex([], () => null),
+      lastRefresh: previous?.lastRefresh ?? null,
+      lastError: error.message
+    };
+  }
+}
+
+function attachNearestContext(balloons, providers) {
+  if (!providers.length) return balloons;
+
+  return balloons.map((balloon) => {
+    const { latest } = balloon;
+    if (!latest) return balloon;
+
+    const nearestContext = { ...balloon.nearestContext };
+    providers.forEach((provider) => {
+      const match = cache.context[provider.id]?.index.nearest(latest.lat, latest.lon);
+      nearestContext[provider.id] = match ? { ...match.item, distanceKm: Number(match.distanceKm.toFixed(1)) } : null;
+    });
+    return { ...balloon, nearestContext };
+  });
+}
+
+module.exports = { CONTEXT_PROVIDERS, describeContextProvider, refreshContextProvider, attachNearestContext };
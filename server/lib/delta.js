@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const { DELTA_HISTORY_SIZE } = require('./config');
+const { cache } = require('./state');
+const { hashContent } = require('./util');
+const { applyBalloonFilters, fieldsExclude, omitRaw, selectFields } = require('./query');
+const { CONTEXT_PROVIDERS } = require('./context');
+
+// Lightweight per-balloon snapshots of the last DELTA_HISTORY_SIZE versions, newest last, used to
+// answer `/api/constellation?since=<etag>`. Each snapshot keeps every field applyBalloonFilters reads,
+// so a filtered `since` request selects the same balloons from the old version as from the new one.
+const versionHistory = [];
+
+function recordVersion() {
+  const balloons = new Map();
+  cache.balloons.forEach((balloon) => {
+    const { track, ...summary } = balloon;
+    balloons.set(balloon.balloonId, {
+      balloonId: balloon.balloonId,
+      latest: balloon.latest && { lat: balloon.latest.lat, lon: balloon.latest.lon, altitude: balloon.latest.altitude },
+      lastSeen: balloon.lastSeen,
+      sampleCount: balloon.sampleCount ?? track.length,
+      nearestEarthquake: balloon.nearestEarthquake && { distanceKm: balloon.nearestEarthquake.distanceKm },
+      pointKeys: track.map(pointKey),
+      summaryHash: hashContent(summary)
+    });
+  });
+
+  versionHistory.push({ etag: cache.meta.etag, balloons });
+  while (versionHistory.length > DELTA_HISTORY_SIZE) versionHistory.shift();
+}
+
+function pointKey(point) {
+  return `${point.timestamp}|${point.lat}|${point.lon}|${point.altitude}`;
+}
+
+// Patch from the client's version to the current one, over the same filters on both sides:
+// - `added`: full balloons that now match
+// - `removed`: IDs that no longer match
+// - `updated`: balloons whose summary or track changed. When the old track is still a prefix of the
+//   new one (after older samples rolled off) the entry carries `appendedPoints` plus `trimBefore`
+//   instead of `track`; otherwise the full `track` is sent.
+// Returns `{ mode: 'full' }` when the version is no longer in the ring; the caller then serves a full
+// snapshot, where the window, sort and paging options are valid again.
+function buildConstellationDelta(sinceEtag, balloons, query) {
+  const base = versionHistory.find((version) => version.etag === sinceEtag);
+  if (!base) return { mode: 'full' };
+
+  const unsupported = ['from', 'to', 'sort', 'limit', 'cursor'].filter((name) => query[name] != null);
+  if (unsupported.length) {
+    return { error: `"since" cannot be combined with ${unsupported.map((name) => `"${name}"`).join(', ')}` };
+  }
+  const current = versionHistory[versionHistory.length - 1];
+
+  const delta = { mode: 'delta', since: sinceEtag, etag: cache.meta.etag, added: [], removed: [], updated: [] };
+  if (base === current) return delta;
+
+  const previous = new Map(
+    applyBalloonFilters(Array.from(base.balloons.values()), query).balloons.map((entry) => [entry.balloonId, entry])
+  );
+
+  balloons.forEach((balloon) => {
+    const before = previous.get(balloon.balloonId);
+    previous.delete(balloon.balloonId);
+    if (!before) {
+      delta.added.push(balloon);
+      return;
+    }
+
+    const after = current.balloons.get(balloon.balloonId);
+    const tracksMatch =
+      after.pointKeys.length === before.pointKeys.length && after.pointKeys.every((key, idx) => key === before.pointKeys[idx]);
+    if (tracksMatch && after.summaryHash === before.summaryHash) return;
+
+    const { track, ...summary } = balloon;
+    const firstKept = before.pointKeys.findIndex((key) => key === after.pointKeys[0]);
+    const retained = firstKept === -1 ? [] : before.pointKeys.slice(firstKept);
+    const isAppend = retained.length > 0 && retained.every((key, idx) => key === after.pointKeys[idx]);
+    if (!isAppend) {
+      delta.updated.push(selectFields([balloon], query.fields)[0]);
+      return;
+    }
+
+    const appendedPoints = track.slice(retained.length);
+    delta.updated.push({
+      ...selectFields([summary], query.fields)[0],
+      trimBefore: track[0].timestamp,
+      appendedPoints: fieldsExclude(query.fields, 'raw') ? appendedPoints.map(omitRaw) : appendedPoints
+    });
+  });
+
+  delta.removed = Array.from(previous.keys());
+  delta.added = selectFields(delta.added, query.fields);
+  return delta;
+}
+
+// The ETag is a digest of every input the API output is built from, so it only moves when data does.
+function computeDatasetEtag(frames, earthquakes) {
+  const hash = crypto.createHash('sha1');
+  frames.forEach((frame) => hash.update(`${frame.hourTag}:${frame.timestamp}:${frame.hash}\n`));
+  hash.update(hashContent(earthquakes));
+  CONTEXT_PROVIDERS.forEach((provider) => hash.update(`${provider.id}:${cache.context[provider.id]?.hash || ''}\n`));
+  return hash.digest('hex').slice(0, 16);
+}
+
+module.exports = { recordVersion, buildConstellationDelta, computeDatasetEtag };
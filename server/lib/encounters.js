@@ -0,0 +1,164 @@
+const {
+  EARTH_HALF_CIRCUMFERENCE_KM,
+  ENCOUNTER_DEFAULT_RADIUS_KM,
+  ENCOUNTER_DEFAULT_WINDOW_HOURS,
+  ENCOUNTER_MAX_RADIUS_KM,
+  ENCOUNTER_MAX_WINDOW_HOURS
+} = require('./config');
+const { createSpatialIndex, haversineKm, quakeLatLon, trackPointLatLon } = require('./geo');
+const { compareValues } = require('./query');
+const { interpolateTrack } = require('./tracks');
+
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+const ENCOUNTER_SORT_FIELDS = {
+  distanceKm: (encounter) => encounter.distanceKm,
+  timeOffset: (encounter) => Math.abs(encounter.timeOffsetMinutes),
+  magnitude: (encounter) => encounter.quake.magnitude,
+  occurredAt: (encounter) => Date.parse(encounter.quake.occurredAt)
+};
+
+function parseEncounterQuery(query = {}) {
+  const radiusKm = query.radiusKm == null ? ENCOUNTER_DEFAULT_RADIUS_KM : Number(query.radiusKm);
+  const windowHours = query.windowHours == null ? ENCOUNTER_DEFAULT_WINDOW_HOURS : Number(query.windowHours);
+  const minMag = query.minMag == null || query.minMag === '' ? null : Number(query.minMag);
+
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > ENCOUNTER_MAX_RADIUS_KM) {
+    return { error: `"radiusKm" must be a positive number up to ${ENCOUNTER_MAX_RADIUS_KM}` };
+  }
+  if (!Number.isFinite(windowHours) || windowHours <= 0 || windowHours > ENCOUNTER_MAX_WINDOW_HOURS) {
+    return { error: `"windowHours" must be a positive number up to ${ENCOUNTER_MAX_WINDOW_HOURS}` };
+  }
+  if (minMag != null && !Number.isFinite(minMag)) {
+    return { error: '"minMag" must be a number' };
+  }
+
+  return {
+    radiusKm,
+    windowHours,
+    minMag,
+    quakeId: query.quakeId ? String(query.quakeId) : null,
+    balloonId: query.balloonId ? String(query.balloonId) : null
+  };
+}
+
+// Candidate balloons come from the track-sample index. Every sample carries the length and end time
+// of the segment that starts at it, and any point of that segment lies within that length of the
+// sample, so a sample qualifies when it is within the radius plus its own segment length and its
+// segment overlaps the time window. Each candidate's track is then checked exactly.
+function findEncounters(quakes, balloons, trackPointIndex, { radiusKm, windowHours }) {
+  const byId = new Map(balloons.map((balloon) => [balloon.balloonId, balloon]));
+  const windowMs = windowHours * 3600 * 1000;
+  const searchRadiusKm = Math.min(radiusKm + (trackPointIndex.maxReachKm || 0), EARTH_HALF_CIRCUMFERENCE_KM);
+  const encounters = [];
+
+  quakes.forEach((quake) => {
+    const quakeTime = Date.parse(quake.occurredAt);
+    if (Number.isNaN(quakeTime)) return;
+    const { lat, lon } = quakeLatLon(quake);
+
+    const candidates = new Set();
+    trackPointIndex.within(lat, lon, searchRadiusKm).forEach(({ item, distanceKm }) => {
+      if (distanceKm > radiusKm + item.reachKm) return;
+      if (item.time > quakeTime + windowMs || item.endTime < quakeTime - windowMs) return;
+      candidates.add(item.balloonId);
+    });
+
+    candidates.forEach((balloonId) => {
+      const closest = closestApproach(byId.get(balloonId)?.track, lat, lon, quakeTime, windowMs);
+      if (!closest || closest.distanceKm > radiusKm) return;
+      encounters.push({
+        quakeId: quake.id,
+        quake: { magnitude: quake.magnitude, place: quake.place, occurredAt: quake.occurredAt, coordinates: quake.coordinates },
+        balloonId,
+        distanceKm: Number(closest.distanceKm.toFixed(1)),
+        timeOffsetMinutes: Math.round((closest.time - quakeTime) / 60000),
+        observedAt: new Date(closest.time).toISOString(),
+        position: { lat: closest.lat, lon: closest.lon, altitude: closest.altitude },
+        interpolated: closest.interpolated
+      });
+    });
+  });
+
+  return encounters;
+}
+
+// Nearest point of the track to (lat, lon) within the time window: the samples inside it, the
+// position interpolated at `time` itself, and the closest point of every segment overlapping it.
+function closestApproach(track, lat, lon, time, windowMs) {
+  if (!Array.isArray(track) || !track.length) return null;
+
+  const points = track
+    .map((point) => ({ lat: point.lat, lon: point.lon, altitude: point.altitude ?? null, time: Date.parse(point.timestamp) }))
+    .filter((point) => Math.abs(point.time - time) <= windowMs)
+    .map((point) => ({ ...point, interpolated: false }));
+  const atTime = interpolateTrack(track, time);
+  if (atTime) points.push({ ...atTime, time, interpolated: true });
+
+  for (let i = 1; i < track.length; i += 1) {
+    const from = Math.max(Date.parse(track[i - 1].timestamp), time - windowMs);
+    const to = Math.min(Date.parse(track[i].timestamp), time + windowMs);
+    if (from < to) points.push(closestOnSegment([track[i - 1], track[i]], lat, lon, from, to));
+  }
+
+  let best = null;
+  points.forEach((point) => {
+    const distanceKm = haversineKm(lat, lon, point.lat, point.lon);
+    if (!best || distanceKm < best.distanceKm) best = { ...point, distanceKm };
+  });
+  return best;
+}
+
+// Golden-section search over time for the point of a two-sample segment closest to (lat, lon),
+// between `from` and `to` and along the same path interpolateTrack draws, to the nearest second.
+function closestOnSegment(segment, lat, lon, from, to) {
+  const distanceAt = (at) => {
+    const position = interpolateTrack(segment, at);
+    return haversineKm(lat, lon, position.lat, position.lon);
+  };
+  let low = from;
+  let high = to;
+  while (high - low > 1000) {
+    const left = high - (high - low) / GOLDEN_RATIO;
+    const right = low + (high - low) / GOLDEN_RATIO;
+    if (distanceAt(left) <= distanceAt(right)) {
+      high = right;
+    } else {
+      low = left;
+    }
+  }
+  const at = Math.round((low + high) / 2);
+  return { ...interpolateTrack(segment, at), time: at, interpolated: true };
+}
+
+function compareEncounters(a, b) {
+  return (
+    a.distanceKm - b.distanceKm ||
+    Math.abs(a.timeOffsetMinutes) - Math.abs(b.timeOffsetMinutes) ||
+    compareValues(a.quake.magnitude, b.quake.magnitude, true)
+  );
+}
+
+// Indexes every sample with the segment that starts at it (`endTime`, `reachKm`); the index's
+// `maxReachKm` is the longest segment, which bounds how far findEncounters has to search.
+function indexTrackPoints(balloons) {
+  const points = [];
+  balloons.forEach((balloon) => {
+    balloon.track.forEach((point, idx) => {
+      const next = balloon.track[idx + 1];
+      const time = Date.parse(point.timestamp);
+      points.push({
+        balloonId: balloon.balloonId,
+        lat: point.lat,
+        lon: point.lon,
+        time,
+        endTime: next ? Date.parse(next.timestamp) : time,
+        reachKm: next ? haversineKm(point.lat, point.lon, next.lat, next.lon) : 0
+      });
+    });
+  });
+  const maxReachKm = points.reduce((max, point) => Math.max(max, point.reachKm), 0);
+  return Object.assign(createSpatialIndex(points, trackPointLatLon), { maxReachKm });
+}
+
+module.exports = { ENCOUNTER_SORT_FIELDS, parseEncounterQuery, findEncounters, compareEncounters, indexTrackPoints };
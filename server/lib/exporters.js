@@ -0,0 +1,112 @@
+function exportProperties(balloon) {
+  const quake = balloon.nearestEarthquake;
+  return {
+    balloonId: balloon.balloonId,
+    firstSeen: balloon.firstSeen,
+    lastSeen: balloon.lastSeen,
+    altitude: balloon.latest?.altitude ?? null,
+    sampleCount: balloon.sampleCount,
+    totalDistanceKm: balloon.totalDistanceKm,
+    altitudeDelta: balloon.altitudeDelta,
+    latestSpeed: balloon.kinematics?.latestSpeed ?? null,
+    latestBearing: balloon.kinematics?.latestBearing ?? null,
+    associationConfidence: balloon.association?.confidence ?? null,
+    nearestQuakeId: quake?.id ?? null,
+    nearestQuakePlace: quake?.place ?? null,
+    nearestQuakeMagnitude: quake?.magnitude ?? null,
+    nearestQuakeDistanceKm: quake?.distanceKm ?? null
+  };
+}
+
+function renderGeoJson(balloons) {
+  const features = [];
+  balloons.forEach((balloon) => {
+    const properties = exportProperties(balloon);
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: toGeoJsonPosition(balloon.latest) },
+      properties: { ...properties, kind: 'latest' }
+    });
+    if (balloon.track.length >= 2) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: balloon.track.map(toGeoJsonPosition) },
+        properties: { ...properties, kind: 'track' }
+      });
+    }
+  });
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+function toGeoJsonPosition(point) {
+  return Number.isFinite(point.altitude) ? [point.lon, point.lat, point.altitude] : [point.lon, point.lat];
+}
+
+function renderKml(balloons) {
+  const placemarks = balloons.map((balloon) => {
+    const extendedData = Object.entries(exportProperties(balloon))
+      .filter(([, value]) => value != null)
+      .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    const toKmlCoord = (point) => `${point.lon},${point.lat},${Number.isFinite(point.altitude) ? point.altitude : 0}`;
+    const geometry =
+      balloon.track.length >= 2
+        ? `<MultiGeometry><Point><coordinates>${toKmlCoord(balloon.latest)}</coordinates></Point>` +
+          `<LineString><coordinates>${balloon.track.map(toKmlCoord).join(' ')}</coordinates></LineString></MultiGeometry>`
+        : `<Point><coordinates>${toKmlCoord(balloon.latest)}</coordinates></Point>`;
+    return `<Placemark><name>${escapeXml(balloon.balloonId)}</name><ExtendedData>${extendedData}</ExtendedData>${geometry}</Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Windborne constellation</name>',
+    ...placemarks,
+    '</Document></kml>'
+  ].join('\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// One row per track sample, followed by the balloon-level attributes; `isLatest` marks the point the map shows.
+function renderCsv(balloons) {
+  const { balloonId: _id, altitude: _altitude, ...summaryTemplate } = exportProperties({});
+  const summaryColumns = Object.keys(summaryTemplate);
+  const rows = [
+    ['balloonId', 'timestamp', 'lat', 'lon', 'altitude', 'speed', 'bearing', 'verticalRate', 'isLatest', ...summaryColumns]
+  ];
+
+  balloons.forEach((balloon) => {
+    const properties = exportProperties(balloon);
+    balloon.track.forEach((point) => {
+      rows.push([
+        balloon.balloonId,
+        point.timestamp,
+        point.lat,
+        point.lon,
+        point.altitude,
+        point.speed,
+        point.bearing,
+        point.verticalRate,
+        point === balloon.latest,
+        ...summaryColumns.map((key) => properties[key])
+      ]);
+    });
+  });
+
+  return rows.map((row) => row.map(escapeCsv).join(',')).join('\n');
+}
+
+function escapeCsv(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { renderGeoJson, renderKml, renderCsv };
@@ -0,0 +1,129 @@
+const { EARTH_HALF_CIRCUMFERENCE_KM, SPATIAL_CELL_DEG } = require('./config');
+
+function hoursBetween(from, to) {
+  return (new Date(to).getTime() - new Date(from).getTime()) / (3600 * 1000);
+}
+
+function trackPointLatLon(point) {
+  return { lat: point.lat, lon: point.lon };
+}
+
+function quakeLatLon(quake) {
+  const [lon, lat] = quake.coordinates;
+  return { lat, lon };
+}
+
+function balloonLatLon(balloon) {
+  return balloon.latest ? { lat: balloon.latest.lat, lon: balloon.latest.lon } : null;
+}
+
+// Fixed lat/lon grid of SPATIAL_CELL_DEG cells. Radius queries only visit the cells inside the
+// circle's bounding box on the sphere (widened to every column near the poles), then confirm each
+// candidate with haversineKm. `nearest` grows the radius until something turns up.
+function createSpatialIndex(items, toLatLon) {
+  const rows = Math.ceil(180 / SPATIAL_CELL_DEG);
+  const cols = Math.ceil(360 / SPATIAL_CELL_DEG);
+  const cells = new Map();
+  const toRow = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat + 90) / SPATIAL_CELL_DEG)));
+  const toCol = (lon) => ((Math.floor((lon + 180) / SPATIAL_CELL_DEG) % cols) + cols) % cols;
+  let size = 0;
+
+  items.forEach((item) => {
+    const coords = toLatLon(item);
+    if (!coords || !Number.isFinite(coords.lat) || !Number.isFinite(coords.lon)) return;
+    const key = toRow(coords.lat) * cols + toCol(coords.lon);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ item, lat: coords.lat, lon: coords.lon });
+    size += 1;
+  });
+
+  function within(lat, lon, radiusKm) {
+    const angularDeg = (radiusKm / 6371) * (180 / Math.PI);
+    const minRow = toRow(lat - angularDeg);
+    const maxRow = toRow(lat + angularDeg);
+
+    let colOffsets;
+    if (Math.abs(lat) + angularDeg >= 90) {
+      colOffsets = null;
+    } else {
+      const ratio = Math.sin((angularDeg * Math.PI) / 180) / Math.cos((lat * Math.PI) / 180);
+      const lonSpan = (Math.asin(Math.min(1, ratio)) * 180) / Math.PI;
+      colOffsets = lonSpan >= 180 ? null : [toCol(lon - lonSpan), Math.ceil((2 * lonSpan) / SPATIAL_CELL_DEG) + 1];
+    }
+
+    const results = [];
+    for (let row = minRow; row <= maxRow; row += 1) {
+      const count = colOffsets ? Math.min(cols, colOffsets[1]) : cols;
+      const start = colOffsets ? colOffsets[0] : 0;
+      for (let step = 0; step < count; step += 1) {
+        const entries = cells.get(row * cols + ((start + step) % cols));
+        if (!entries) continue;
+        entries.forEach((entry) => {
+          const distanceKm = haversineKm(lat, lon, entry.lat, entry.lon);
+          if (distanceKm <= radiusKm) results.push({ item: entry.item, distanceKm });
+        });
+      }
+    }
+
+    return results.sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  function nearest(lat, lon) {
+    if (!size) return null;
+    for (let radiusKm = 250; ; radiusKm *= 2) {
+      const matches = within(lat, lon, Math.min(radiusKm, EARTH_HALF_CIRCUMFERENCE_KM));
+      if (matches.length || radiusKm >= EARTH_HALF_CIRCUMFERENCE_KM) return matches[0] || null;
+    }
+  }
+
+  return { size, within, nearest };
+}
+
+function bearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function destinationPoint(lat, lon, bearing, distanceKm) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const toDeg = (rad) => (rad * 180) / Math.PI;
+  const angular = distanceKm / 6371;
+  const heading = toRad(bearing);
+  const lat1 = toRad(lat);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(heading)
+  );
+  const lon2 =
+    toRad(lon) +
+    Math.atan2(
+      Math.sin(heading) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return [toDeg(lat2), ((toDeg(lon2) + 540) % 360) - 180];
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  hoursBetween,
+  trackPointLatLon,
+  quakeLatLon,
+  balloonLatLon,
+  createSpatialIndex,
+  bearingDeg,
+  destinationPoint,
+  haversineKm
+};
@@ -0,0 +1,268 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const {
+  ALERT_HISTORY_SIZE,
+  EARTH_HALF_CIRCUMFERENCE_KM,
+  GEOFENCES_FILE,
+  GEOFENCE_MAX_VERTICES,
+  GEOFENCE_MAX_WEBHOOKS,
+  GEOFENCE_NAME_MAX_LENGTH,
+  GEOFENCE_WEBHOOKS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_TIMEOUT_MS
+} = require('./config');
+const { cache } = require('./state');
+const { createJsonStore } = require('./store');
+
+// Balloon IDs inside each geofence as of the last refresh, keyed by geofence id.
+const geofenceMembership = new Map();
+const geofenceStore = createJsonStore(GEOFENCES_FILE, { geofences: [], alerts: [], membership: {} });
+
+// Accepts `{ name, type: 'circle', center: { lat, lon }, radiusKm }` or
+// `{ name, type: 'polygon', coordinates: [[lon, lat], ...] }`, each with optional `webhooks` URLs.
+function normalizeGeofence(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > GEOFENCE_NAME_MAX_LENGTH) {
+    return { error: `"name" must be between 1 and ${GEOFENCE_NAME_MAX_LENGTH} characters` };
+  }
+  const webhooks = input.webhooks ?? [];
+  if (!Array.isArray(webhooks) || webhooks.length > GEOFENCE_MAX_WEBHOOKS || !webhooks.every(isHttpUrl)) {
+    return { error: `"webhooks" must be a list of up to ${GEOFENCE_MAX_WEBHOOKS} http(s) URLs` };
+  }
+
+  if (input.type === 'circle') {
+    const lat = Number(input.center?.lat);
+    const lon = Number(input.center?.lon);
+    const radiusKm = Number(input.radiusKm);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+      return { error: '"center" must have "lat" between -90 and 90 and "lon" between -180 and 180' };
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > EARTH_HALF_CIRCUMFERENCE_KM) {
+      return { error: `"radiusKm" must be a positive number up to ${Math.floor(EARTH_HALF_CIRCUMFERENCE_KM)}` };
+    }
+    return { name, type: 'circle', center: { lat, lon }, radiusKm, webhooks };
+  }
+
+  if (input.type === 'polygon') {
+    const { coordinates } = input;
+    if (!Array.isArray(coordinates) || coordinates.length < 3 || coordinates.length > GEOFENCE_MAX_VERTICES) {
+      return { error: `"coordinates" must list between 3 and ${GEOFENCE_MAX_VERTICES} [lon, lat] pairs` };
+    }
+    const ring = coordinates.map((pair) => (Array.isArray(pair) ? [Number(pair[0]), Number(pair[1])] : []));
+    const valid = ring.every(
+      ([lon, lat]) => Number.isFinite(lon) && lon >= -180 && lon <= 180 && Number.isFinite(lat) && lat >= -90 && lat <= 90
+    );
+    if (!valid) {
+      return { error: '"coordinates" must be [lon, lat] pairs with lon between -180 and 180 and lat between -90 and 90' };
+    }
+    return { name, type: 'polygon', coordinates: ring, webhooks };
+  }
+
+  return { error: '"type" must be "circle" or "polygon"' };
+}
+
+// Webhook URLs often embed credentials, so open reads only show how many there are (fences) or
+// which host each delivery went to (alerts).
+function publicGeofence({ webhooks, ...geofence }) {
+  return { ...geofence, webhookCount: webhooks.length };
+}
+
+function publicAlert(alert) {
+  return { ...alert, deliveries: alert.deliveries.map(({ url, ...delivery }) => ({ host: new URL(url).host, ...delivery })) };
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function balloonsInsideGeofence(geofence, balloons, balloonIndex) {
+  if (geofence.type === 'circle') {
+    const matches = balloonIndex.within(geofence.center.lat, geofence.center.lon, geofence.radiusKm);
+    return new Set(matches.map(({ item }) => item.balloonId));
+  }
+
+  const ring = unwrapRing(geofence.coordinates);
+  const inside = new Set();
+  balloons.forEach((balloon) => {
+    const { latest } = balloon;
+    if (!latest) return;
+    // The ring may extend past ±180 after unwrapping, so try the point on each neighbouring copy.
+    if ([latest.lon, latest.lon + 360, latest.lon - 360].some((lon) => pointInRing(ring, lon, latest.lat))) {
+      inside.add(balloon.balloonId);
+    }
+  });
+  return inside;
+}
+
+// Shifts vertex longitudes so no edge jumps across the antimeridian.
+function unwrapRing(coordinates) {
+  const ring = [];
+  coordinates.forEach(([lon, lat]) => {
+    if (!ring.length) {
+      ring.push([lon, lat]);
+      return;
+    }
+    const previousLon = ring[ring.length - 1][0];
+    ring.push([lon + Math.round((previousLon - lon) / 360) * 360, lat]);
+  });
+  return ring;
+}
+
+function pointInRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if (latI > lat !== latJ > lat && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Compares each fence's occupants with the previous refresh and returns one alert per entry or exit.
+// A fence without a previous snapshot only records its baseline. Balloons that drop out of the feed
+// are forgotten without an exit alert, since where they went is unknown.
+function detectGeofenceTransitions(balloons, balloonIndex) {
+  const byId = new Map(balloons.map((balloon) => [balloon.balloonId, balloon]));
+  const detectedAt = new Date().toISOString();
+  const alerts = [];
+
+  cache.geofences.forEach((geofence) => {
+    const inside = balloonsInsideGeofence(geofence, balloons, balloonIndex);
+    const previous = geofenceMembership.get(geofence.id);
+    geofenceMembership.set(geofence.id, inside);
+    if (!previous) return;
+
+    inside.forEach((balloonId) => {
+      if (!previous.has(balloonId)) alerts.push(createGeofenceAlert(geofence, byId.get(balloonId), 'enter', detectedAt));
+    });
+    previous.forEach((balloonId) => {
+      if (!inside.has(balloonId) && byId.has(balloonId)) {
+        alerts.push(createGeofenceAlert(geofence, byId.get(balloonId), 'exit', detectedAt));
+      }
+    });
+  });
+
+  return alerts;
+}
+
+function createGeofenceAlert(geofence, balloon, event, detectedAt) {
+  const { lat, lon, altitude } = balloon.latest;
+  const webhooks = Array.from(new Set([...geofence.webhooks, ...GEOFENCE_WEBHOOKS]));
+  return {
+    id: `al_${crypto.randomBytes(6).toString('hex')}`,
+    event,
+    geofenceId: geofence.id,
+    geofenceName: geofence.name,
+    balloonId: balloon.balloonId,
+    position: { lat, lon, altitude: altitude ?? null },
+    observedAt: balloon.lastSeen,
+    detectedAt,
+    deliveries: webhooks.map((url) => ({ url, status: 'pending', attempts: 0, lastError: null, deliveredAt: null }))
+  };
+}
+
+async function recordGeofenceAlerts(alerts) {
+  if (!alerts.length) return;
+  cache.alerts.push(...alerts);
+  if (cache.alerts.length > ALERT_HISTORY_SIZE) cache.alerts.splice(0, cache.alerts.length - ALERT_HISTORY_SIZE);
+  await persistGeofences();
+
+  // One batch per URL per refresh; delivery runs in the background so a slow receiver cannot hold up
+  // the refresh.
+  const batches = new Map();
+  alerts.forEach((alert) => {
+    alert.deliveries.forEach(({ url }) => {
+      if (!batches.has(url)) batches.set(url, []);
+      batches.get(url).push(alert);
+    });
+  });
+  batches.forEach((batch, url) => {
+    deliverWebhook(url, batch).catch((error) => console.warn(`Webhook delivery to ${url} failed:`, error.message));
+  });
+}
+
+// Picks up the deliveries a previous run left `pending` or `retrying` (the alert store keeps them,
+// but their retry loop died with the process). Alerts are batched per URL as on the first try, and
+// each batch continues from the highest attempt count in it, with at least one more attempt.
+function resumeWebhookDeliveries() {
+  const batches = new Map();
+  cache.alerts.forEach((alert) => {
+    (alert.deliveries || []).forEach(({ url, status, attempts }) => {
+      if (status !== 'pending' && status !== 'retrying') return;
+      if (!batches.has(url)) batches.set(url, { alerts: [], attempts: 0 });
+      const batch = batches.get(url);
+      batch.alerts.push(alert);
+      batch.attempts = Math.max(batch.attempts, attempts || 0);
+    });
+  });
+  return Promise.all(
+    Array.from(batches, ([url, batch]) =>
+      deliverWebhook(url, batch.alerts, Math.min(batch.attempts + 1, WEBHOOK_MAX_ATTEMPTS)).catch((error) =>
+        console.warn(`Webhook delivery to ${url} failed:`, error.message)
+      )
+    )
+  );
+}
+
+// POSTs `{ alerts }` with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS. Client errors other than
+// 408 and 429 are not retried. Each alert's `deliveries` entry for the URL tracks the outcome.
+async function deliverWebhook(url, alerts, firstAttempt = 1) {
+  const body = { alerts: alerts.map(({ deliveries: _deliveries, ...alert }) => alert) };
+  const update = (patch) =>
+    alerts.forEach((alert) => {
+      const delivery = alert.deliveries.find((entry) => entry.url === url);
+      if (delivery) Object.assign(delivery, patch);
+    });
+
+  for (let attempt = firstAttempt; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt += 1) {
+    try {
+      await axios.post(url, body, { timeout: WEBHOOK_TIMEOUT_MS });
+      update({ status: 'delivered', attempts: attempt, lastError: null, deliveredAt: new Date().toISOString() });
+      await persistGeofences();
+      return;
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status >= 500 || status === 408 || status === 429;
+      const lastError = status ? `HTTP ${status}` : error.message;
+      if (!retryable || attempt === WEBHOOK_MAX_ATTEMPTS) {
+        update({ status: 'failed', attempts: attempt, lastError });
+        await persistGeofences();
+        console.warn(`Webhook delivery to ${url} gave up after ${attempt} attempt(s): ${lastError}`);
+        return;
+      }
+      update({ status: 'retrying', attempts: attempt, lastError });
+      await new Promise((resolve) => setTimeout(resolve, WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+function persistGeofences() {
+  const membership = {};
+  geofenceMembership.forEach((inside, id) => {
+    membership[id] = Array.from(inside);
+  });
+  return geofenceStore.save({ geofences: cache.geofences, alerts: cache.alerts, membership });
+}
+
+module.exports = {
+  geofenceMembership,
+  geofenceStore,
+  normalizeGeofence,
+  publicGeofence,
+  publicAlert,
+  balloonsInsideGeofence,
+  detectGeofenceTransitions,
+  recordGeofenceAlerts,
+  resumeWebhookDeliveries,
+  persistGeofences
+};
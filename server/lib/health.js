@@ -0,0 +1,114 @@
+const { REFRESH_INTERVAL_MS, STALE_AFTER_INTERVALS } = require('./config');
+const { cache } = require('./state');
+
+// Fetch outcomes per upstream source (`windborne`, `earthquakes`, `context:<id>`), see recordSourceResult.
+const sourceHealth = new Map();
+
+// Updates a source's health after one fetch. `failed` means nothing usable came back; `error` may
+// also be set on a partial success (e.g. Windborne with some hours missing) to explain the gap.
+function recordSourceResult(id, { latencyMs, failed = false, error = null, missingHours, staleAfterMs }) {
+  const health = sourceHealth.get(id) || {
+    id,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    latencyMs: null,
+    consecutiveFailures: 0,
+    successCount: 0,
+    failureCount: 0,
+    missingHours: [],
+    staleAfterMs: REFRESH_INTERVAL_MS * STALE_AFTER_INTERVALS
+  };
+  const now = new Date().toISOString();
+
+  health.latencyMs = latencyMs;
+  if (missingHours) health.missingHours = missingHours;
+  if (staleAfterMs) health.staleAfterMs = staleAfterMs;
+  if (error) {
+    health.lastError = error;
+    health.lastErrorAt = now;
+  }
+  if (failed) {
+    health.consecutiveFailures += 1;
+    health.failureCount += 1;
+  } else {
+    health.lastSuccessAt = now;
+    health.consecutiveFailures = 0;
+    health.successCount += 1;
+  }
+  sourceHealth.set(id, health);
+}
+
+// `stale` when the last success is too old to trust, `down` when the latest fetch failed, `degraded`
+// when the latest Windborne load is missing hours.
+function sourceStatus(health) {
+  if (health.lastSuccessAt && Date.now() - Date.parse(health.lastSuccessAt) > health.staleAfterMs) return 'stale';
+  if (health.consecutiveFailures > 0) return 'down';
+  if (health.missingHours.length) return 'degraded';
+  return 'ok';
+}
+
+// `starting` before the first refresh, `stale` when refreshes stopped landing or a source has been
+// failing for a while, `partial` when the latest refresh is missing some upstream data.
+function dataStatus() {
+  if (!cache.meta.lastRefresh) return 'starting';
+  if (Date.now() - Date.parse(cache.meta.lastRefresh) > REFRESH_INTERVAL_MS * STALE_AFTER_INTERVALS) return 'stale';
+
+  const statuses = [...sourceHealth.values()].map(sourceStatus);
+  if (statuses.includes('stale')) return 'stale';
+  if (statuses.some((status) => status !== 'ok')) return 'partial';
+  return 'ok';
+}
+
+// Prometheus text exposition of sourceHealth plus a few dataset gauges.
+function renderMetrics() {
+  const sources = [...sourceHealth.values()];
+  const perSource = (value) => sources.map((health) => [{ source: health.id }, value(health)]);
+  const seconds = (iso) => (iso ? Date.parse(iso) / 1000 : NaN);
+  // No series until the first Windborne load, rather than a NaN gauge.
+  const windborne = sourceHealth.get('windborne');
+  const metrics = [
+    ['balloon_source_up', 'gauge', 'Whether the latest fetch from the source succeeded.', perSource((health) => (health.consecutiveFailures ? 0 : 1))],
+    ['balloon_source_last_success_timestamp_seconds', 'gauge', 'Time of the last successful fetch.', perSource((health) => seconds(health.lastSuccessAt))],
+    ['balloon_source_last_error_timestamp_seconds', 'gauge', 'Time of the last fetch error.', perSource((health) => seconds(health.lastErrorAt))],
+    ['balloon_source_latency_seconds', 'gauge', 'Duration of the latest fetch.', perSource((health) => health.latencyMs / 1000)],
+    ['balloon_source_consecutive_failures', 'gauge', 'Failed fetches since the last success.', perSource((health) => health.consecutiveFailures)],
+    [
+      'balloon_source_fetches_total',
+      'counter',
+      'Fetches by outcome.',
+      sources.flatMap((health) => [
+        [{ source: health.id, outcome: 'success' }, health.successCount],
+        [{ source: health.id, outcome: 'failure' }, health.failureCount]
+      ])
+    ],
+    [
+      'balloon_source_missing_hours',
+      'gauge',
+      'Windborne hours missing from the latest load.',
+      windborne ? [[{ source: 'windborne' }, windborne.missingHours.length]] : []
+    ],
+    ['balloon_last_refresh_timestamp_seconds', 'gauge', 'Time of the last completed refresh.', [[{}, seconds(cache.meta.lastRefresh)]]],
+    ['balloon_frames_loaded', 'gauge', 'Windborne hours in the served dataset.', [[{}, cache.frames.length]]],
+    ['balloon_balloons', 'gauge', 'Balloons in the served dataset.', [[{}, cache.balloons.length]]],
+    ['balloon_earthquakes', 'gauge', 'Earthquakes in the served dataset.', [[{}, cache.earthquakes.length]]]
+  ];
+
+  const lines = [];
+  metrics.forEach(([name, type, help, samples]) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => {
+      const labelText = Object.entries(labels)
+        .map(([key, label]) => `${key}="${escapeMetricLabel(label)}"`)
+        .join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = { sourceHealth, recordSourceResult, sourceStatus, dataStatus, renderMetrics };
@@ -0,0 +1,207 @@
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+
+const { EARTHQUAKE_URL, FIXTURE_DIR, FIXTURE_MODE, MAX_LOOKBACK_HOURS, WIND_BASE_URL } = require('./config');
+const { countEntries, hashContent, parseTimestamp } = require('./util');
+const { recordSourceResult } = require('./health');
+
+// Last response per hour file (validators, content hash, payload) so unchanged hours can be
+// revalidated with conditional requests and reused without reparsing.
+const frameState = new Map();
+// Added to Date.now() by clockNow(); non-zero only when replaying fixtures or REPLAY_START is set.
+let clockOffsetMs = 0;
+// Content hash of each fixture file as last recorded, and whether any changed since the manifest.
+const recordedFixtures = new Map();
+let fixturesChanged = false;
+
+async function loadWindborneHistory() {
+  const now = clockNow();
+  const jobs = [];
+
+  for (let i = 0; i < MAX_LOOKBACK_HOURS; i += 1) {
+    jobs.push(fetchWindborneFrame(i, now));
+  }
+
+  const startedAt = Date.now();
+  const results = await Promise.all(jobs);
+  const frames = results.filter((result) => !result.error);
+  const failures = results.filter((result) => result.error);
+  // A few missing hours still leave usable tracks, so only a refresh with no frames at all counts as
+  // a failure; the missing hours are reported either way.
+  recordSourceResult('windborne', {
+    latencyMs: Date.now() - startedAt,
+    failed: frames.length === 0,
+    error: failures[0] ? `${failures[0].hourTag}.json: ${failures[0].error}` : null,
+    missingHours: failures.map((failure) => failure.hourTag)
+  });
+  // The manifest dates the recording, so it only moves when a fixture file did.
+  if (fixturesChanged) {
+    fixturesChanged = false;
+    await writeFixture(
+      'manifest.json',
+      JSON.stringify({ recordedAt: new Date(now).toISOString(), windBaseUrl: WIND_BASE_URL, earthquakeUrl: EARTHQUAKE_URL }, null, 2)
+    );
+  }
+  frames.sort((a, b) => a.timestamp - b.timestamp);
+  return frames;
+}
+
+// Upstream "now". Replays shift it back to when the fixtures were recorded (or to REPLAY_START) so
+// frame timestamps line up with the recorded earthquake times; it then advances in real time.
+function clockNow() {
+  return Date.now() + clockOffsetMs;
+}
+
+async function configureClock() {
+  let start = null;
+  if (process.env.REPLAY_START) {
+    start = Date.parse(process.env.REPLAY_START);
+    if (Number.isNaN(start)) {
+      console.warn(`Ignoring REPLAY_START "${process.env.REPLAY_START}": not a date`);
+      start = null;
+    }
+  } else if (FIXTURE_MODE === 'replay') {
+    const manifest = await fs.promises
+      .readFile(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8')
+      .then(JSON.parse)
+      .catch(() => null);
+    start = manifest ? Date.parse(manifest.recordedAt) : null;
+    if (!Number.isFinite(start)) {
+      console.warn(`No recordedAt in ${FIXTURE_DIR}/manifest.json; replaying against the real clock`);
+      start = null;
+    }
+  }
+
+  clockOffsetMs = start == null ? 0 : start - Date.now();
+  if (start != null) console.log(`Clock shifted to ${new Date(start).toISOString()}`);
+}
+
+// GETs an upstream URL as text. `file://` URLs are read from disk so recorded fixtures can stand in
+// for the live feeds; they never answer 304, but unchanged content is still caught by its hash.
+async function fetchUpstreamText(url, { headers = {}, timeout } = {}) {
+  if (url.startsWith('file:')) {
+    const data = await fs.promises.readFile(fileURLToPath(url), 'utf8');
+    return { status: 200, data, headers: {} };
+  }
+
+  return axios.get(url, {
+    timeout,
+    headers,
+    responseType: 'text',
+    transformResponse: (body) => body,
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+  });
+}
+
+// Saves an upstream payload in record mode, skipping files whose content has not changed.
+async function recordFixture(relativePath, contents) {
+  if (FIXTURE_MODE !== 'record') return;
+  const hash = hashContent(contents);
+  if (recordedFixtures.get(relativePath) === hash) return;
+  if (await writeFixture(relativePath, contents)) {
+    recordedFixtures.set(relativePath, hash);
+    fixturesChanged = true;
+  }
+}
+
+async function writeFixture(relativePath, contents) {
+  const target = path.join(FIXTURE_DIR, relativePath);
+  try {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(`${target}.tmp`, contents);
+    await fs.promises.rename(`${target}.tmp`, target);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to record fixture ${relativePath}:`, error.message);
+    return false;
+  }
+}
+
+// Revalidates with If-None-Match / If-Modified-Since when the server gave us validators. A 304, or
+// a body whose hash matches the last one, reuses the previous payload and timestamp untouched.
+async function fetchWindborneFrame(hourOffset, nowMs) {
+  const hourTag = hourOffset.toString().padStart(2, '0');
+  const url = `${WIND_BASE_URL}/${hourTag}.json`;
+  const previous = frameState.get(hourTag);
+
+  const headers = {};
+  if (previous?.etag) headers['If-None-Match'] = previous.etag;
+  if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+  try {
+    const response = await fetchUpstreamText(url, { timeout: 10000, headers });
+
+    let state = previous;
+    if (response.status !== 304) {
+      if (!response.data) throw new Error('Empty response');
+      await recordFixture(`windborne/${hourTag}.json`, response.data);
+      const hash = hashContent(response.data);
+      if (previous?.hash === hash) {
+        state = previous;
+      } else {
+        const raw = JSON.parse(response.data);
+        const timestamp = resolveFrameTimestamp(raw, response.headers['last-modified'], nowMs - hourOffset * 3600 * 1000);
+        state = { hash, raw, timestamp };
+      }
+      state = { ...state, etag: response.headers.etag || null, lastModified: response.headers['last-modified'] || null };
+      frameState.set(hourTag, state);
+    }
+    if (!state) throw new Error('Not modified, but no earlier copy is cached');
+
+    return { hourTag, timestamp: state.timestamp, hash: state.hash, raw: state.raw, recordCount: countEntries(state.raw) };
+  } catch (error) {
+    console.warn(`Failed to load ${url}:`, error.message);
+    return { hourTag, error: error.message };
+  }
+}
+
+// The hour a frame file covers: the payload's own time, else its Last-Modified header, else the
+// start of the real hour `slotMs` falls in. Payload and header times are only trusted within an hour
+// of that slot, because upstream rewrites files when it rotates them. Either way the result depends
+// on the file rather than on when we fetched it, so timestamps hold still across refreshes.
+function resolveFrameTimestamp(raw, lastModified, slotMs) {
+  const hourStart = Math.floor(slotMs / (3600 * 1000)) * 3600 * 1000;
+  const payloadTime =
+    raw && typeof raw === 'object' && !Array.isArray(raw)
+      ? parseTimestamp(raw.timestamp) ||
+        parseTimestamp(raw.time) ||
+        parseTimestamp(raw.generated_at) ||
+        parseTimestamp(raw.generatedAt)
+      : null;
+
+  for (const candidate of [payloadTime, parseTimestamp(lastModified)]) {
+    const time = candidate ? Date.parse(candidate) : NaN;
+    if (Math.abs(time - hourStart) <= 3600 * 1000) return time;
+  }
+  return hourStart;
+}
+
+async function fetchEarthquakes() {
+  const startedAt = Date.now();
+  try {
+    const response = await fetchUpstreamText(EARTHQUAKE_URL, { timeout: 8000 });
+    await recordFixture('earthquakes.json', response.data);
+    const features = JSON.parse(response.data)?.features;
+    if (!Array.isArray(features)) throw new Error('Response has no "features" array');
+    recordSourceResult('earthquakes', { latencyMs: Date.now() - startedAt });
+
+    return features
+      .map((feature) => ({
+        id: feature.id,
+        magnitude: feature.properties?.mag ?? null,
+        place: feature.properties?.place ?? 'Unknown',
+        occurredAt: new Date(feature.properties?.time).toISOString(),
+        url: feature.properties?.url,
+        coordinates: Array.isArray(feature.geometry?.coordinates) ? feature.geometry.coordinates : null
+      }))
+      .filter((quake) => Array.isArray(quake.coordinates) && quake.coordinates.length >= 2);
+  } catch (error) {
+    console.warn('Failed to load earthquake feed:', error.message);
+    recordSourceResult('earthquakes', { latencyMs: Date.now() - startedAt, failed: true, error: error.message });
+    return [];
+  }
+}
+
+module.exports = { loadWindborneHistory, configureClock, fetchEarthquakes };
@@ -0,0 +1,51 @@
+const { EARTH_HALF_CIRCUMFERENCE_KM, NEAR_DEFAULT_RADIUS_KM } = require('./config');
+
+function attachNearestEarthquake(balloons, earthquakeIndex) {
+  if (!earthquakeIndex.size) return balloons;
+
+  return balloons.map((balloon) => {
+    const { latest } = balloon;
+    if (!latest) return balloon;
+
+    const match = earthquakeIndex.nearest(latest.lat, latest.lon);
+    const nearest = match ? { ...match.item, distanceKm: Number(match.distanceKm.toFixed(1)) } : null;
+    return { ...balloon, nearestEarthquake: nearest };
+  });
+}
+
+function nearestEarthquakesAlongTrack(track, earthquakeIndex, radiusKm, limit = 10) {
+  if (!earthquakeIndex.size || !Array.isArray(track)) return [];
+
+  const closest = new Map();
+  track.forEach((point) => {
+    earthquakeIndex.within(point.lat, point.lon, radiusKm).forEach(({ item, distanceKm }) => {
+      const current = closest.get(item.id);
+      if (current && current.distanceKm <= distanceKm) return;
+      closest.set(item.id, { ...item, distanceKm: Number(distanceKm.toFixed(1)), closestAt: point.timestamp });
+    });
+  });
+
+  return Array.from(closest.values())
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
+
+function parseNearQuery(query = {}) {
+  const lat = Number(query.lat);
+  const lon = Number(query.lon);
+  const radiusKm = query.radiusKm == null ? NEAR_DEFAULT_RADIUS_KM : Number(query.radiusKm);
+
+  if (query.lat == null || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: '"lat" must be a number between -90 and 90' };
+  }
+  if (query.lon == null || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { error: '"lon" must be a number between -180 and 180' };
+  }
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > EARTH_HALF_CIRCUMFERENCE_KM) {
+    return { error: `"radiusKm" must be a positive number up to ${Math.floor(EARTH_HALF_CIRCUMFERENCE_KM)}` };
+  }
+
+  return { lat, lon, radiusKm };
+}
+
+module.exports = { attachNearestEarthquake, nearestEarthquakesAlongTrack, parseNearQuery };
@@ -0,0 +1,134 @@
+const { QUALITY_MAX_ALTITUDE, QUALITY_MAX_SPEED_KMH, QUALITY_SUSPECT_FRAME_RATIO } = require('./config');
+const { haversineKm, hoursBetween } = require('./geo');
+
+// Reason codes for samples dropped before they reach a track:
+// - UNPARSEABLE: normalizeBalloon could not read a position
+// - COORD_OUT_OF_RANGE: latitude outside ±90 or longitude outside ±180
+// - NEGATIVE_ALTITUDE / ALTITUDE_OUT_OF_RANGE: altitude below zero or above QUALITY_MAX_ALTITUDE
+// - DUPLICATE_SAMPLE: the same point twice in one frame, twice at one timestamp on a track, or
+//   repeated unchanged in a later frame (an hour served twice, or overlapping frames)
+// - IMPOSSIBLE_JUMP: the sample is the odd one out of a segment faster than QUALITY_MAX_SPEED_KMH
+function createQualityReport() {
+  return { samples: 0, anomalies: [] };
+}
+
+function recordAnomaly(report, code, sample) {
+  report.anomalies.push({
+    code,
+    balloonId: sample.balloonId ?? null,
+    hourTag: sample.hourTag,
+    timestamp: typeof sample.timestamp === 'number' ? new Date(sample.timestamp).toISOString() : sample.timestamp
+  });
+}
+
+function validateSample(point) {
+  if (point.lat < -90 || point.lat > 90 || point.lon < -180 || point.lon > 180) return 'COORD_OUT_OF_RANGE';
+  if (Number.isFinite(point.altitude)) {
+    if (point.altitude < 0) return 'NEGATIVE_ALTITUDE';
+    if (point.altitude > QUALITY_MAX_ALTITUDE) return 'ALTITUDE_OUT_OF_RANGE';
+  }
+  return null;
+}
+
+function validateTrack(trackObj, report) {
+  const sorted = [...trackObj.track].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const kept = [];
+
+  sorted.forEach((point) => {
+    const prev = kept[kept.length - 1];
+    if (prev && (hoursBetween(prev.timestamp, point.timestamp) <= 0 || samePosition(prev, point))) {
+      recordAnomaly(report, 'DUPLICATE_SAMPLE', point);
+      return;
+    }
+    kept.push(point);
+  });
+
+  // An impossible segment has two ends; drop the one the rest of the track disagrees with, so a
+  // single bad fix (even the first one) does not take every later sample down with it.
+  let idx = 1;
+  while (idx < kept.length) {
+    const prev = kept[idx - 1];
+    const point = kept[idx];
+    if (!isImpossibleJump(prev, point)) {
+      idx += 1;
+      continue;
+    }
+    const before = kept[idx - 2];
+    const after = kept[idx + 1];
+    const prevIsOutlier = before ? !isImpossibleJump(before, point) : Boolean(after) && !isImpossibleJump(point, after);
+    const dropIdx = prevIsOutlier ? idx - 1 : idx;
+    recordAnomaly(report, 'IMPOSSIBLE_JUMP', kept[dropIdx]);
+    kept.splice(dropIdx, 1);
+    idx = Math.max(1, dropIdx);
+  }
+
+  return { ...trackObj, track: kept };
+}
+
+function isImpossibleJump(prev, next) {
+  const hours = hoursBetween(prev.timestamp, next.timestamp);
+  return haversineKm(prev.lat, prev.lon, next.lat, next.lon) / hours > QUALITY_MAX_SPEED_KMH;
+}
+
+// A drifting balloon never reports exactly the same fix an hour apart, so a match is a copy.
+function samePosition(a, b) {
+  return a.lat === b.lat && a.lon === b.lon && a.altitude === b.altitude;
+}
+
+function summarizeQuality(report, frames) {
+  const countBy = (items, keyFn) => {
+    const groups = new Map();
+    items.forEach((item) => {
+      const key = keyFn(item);
+      const group = groups.get(key) || { anomalies: 0, byReason: {} };
+      group.anomalies += 1;
+      group.byReason[item.code] = (group.byReason[item.code] || 0) + 1;
+      groups.set(key, group);
+    });
+    return groups;
+  };
+
+  const byFrame = countBy(report.anomalies, (item) => item.hourTag);
+  const byBalloon = countBy(
+    report.anomalies.filter((item) => item.balloonId),
+    (item) => item.balloonId
+  );
+
+  const frameReports = frames.map((frame) => {
+    const group = byFrame.get(frame.hourTag) || { anomalies: 0, byReason: {} };
+    const ratio = frame.recordCount ? group.anomalies / frame.recordCount : 0;
+    return {
+      hourTag: frame.hourTag,
+      timestamp: frame.timestamp,
+      recordCount: frame.recordCount,
+      ...group,
+      anomalyRatio: Number(ratio.toFixed(4)),
+      suspect: ratio > QUALITY_SUSPECT_FRAME_RATIO
+    };
+  });
+
+  const dropped = report.anomalies.length;
+  const ratio = report.samples ? dropped / report.samples : 0;
+  const suspectFrames = frameReports.filter((frame) => frame.suspect).map((frame) => frame.hourTag);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      level: ratio < 0.01 && !suspectFrames.length ? 'good' : ratio < QUALITY_SUSPECT_FRAME_RATIO ? 'fair' : 'poor',
+      samples: report.samples,
+      dropped,
+      droppedRatio: Number(ratio.toFixed(4)),
+      byReason: report.anomalies.reduce((acc, item) => {
+        acc[item.code] = (acc[item.code] || 0) + 1;
+        return acc;
+      }, {}),
+      suspectFrames
+    },
+    frames: frameReports,
+    balloons: Array.from(byBalloon.entries())
+      .map(([balloonId, group]) => ({ balloonId, ...group }))
+      .sort((a, b) => b.anomalies - a.anomalies)
+  };
+}
+
+module.exports = { createQualityReport, recordAnomaly, validateSample, validateTrack, summarizeQuality };
@@ -0,0 +1,275 @@
+const { MAX_PAGE_LIMIT } = require('./config');
+const { cache } = require('./state');
+const { finalizeBalloonTrack } = require('./tracks');
+
+// Balloon filters shared by /api/constellation and the exports:
+// - `ids`: comma-separated balloon IDs
+// - `q`: case-insensitive substring of the balloon ID
+// - `bbox`: minLon,minLat,maxLon,maxLat on the latest position (minLon > maxLon crosses the antimeridian);
+//   repeat it to require every box
+// - `minAlt` / `maxAlt`: latest altitude range
+// - `minQuakeKm` / `maxQuakeKm`: distance to the nearest quake
+// - `minSamples` / `maxSamples`: number of track samples
+// - `lastSeenFrom` / `lastSeenTo`: ISO window on `lastSeen`
+// - `from` / `to`: ISO timestamps; tracks are clipped to the window and re-summarised, and
+//   balloons with no samples inside it are dropped
+function applyBalloonFilters(balloons, query = {}) {
+  let result = balloons;
+
+  if (query.ids) {
+    const ids = new Set(String(query.ids).split(',').map((id) => id.trim()).filter(Boolean));
+    result = result.filter((balloon) => ids.has(balloon.balloonId));
+  }
+
+  if (query.q) {
+    const needle = String(query.q).trim().toLowerCase();
+    result = result.filter((balloon) => String(balloon.balloonId).toLowerCase().includes(needle));
+  }
+
+  // A repeated `bbox` keeps only positions inside every box, e.g. a drawn region and the map viewport.
+  const boxes = [].concat(query.bbox ?? []).map(parseBbox);
+  const badBox = boxes.find((bbox) => bbox.error);
+  if (badBox) return { error: badBox.error };
+  boxes.forEach((bbox) => {
+    if (!bbox.value) return;
+    result = result.filter((balloon) => balloon.latest && inBbox(balloon.latest.lat, balloon.latest.lon, bbox.value));
+  });
+
+  const altitude = parseRange(query, 'minAlt', 'maxAlt', Number);
+  if (altitude.error) return { error: altitude.error };
+  if (altitude.value) {
+    result = result.filter((balloon) => inRange(balloon.latest?.altitude, altitude.value));
+  }
+
+  const quakeDistance = parseRange(query, 'minQuakeKm', 'maxQuakeKm', Number);
+  if (quakeDistance.error) return { error: quakeDistance.error };
+  if (quakeDistance.value) {
+    result = result.filter((balloon) => inRange(balloon.nearestEarthquake?.distanceKm, quakeDistance.value));
+  }
+
+  const samples = parseRange(query, 'minSamples', 'maxSamples', Number);
+  if (samples.error) return { error: samples.error };
+  if (samples.value) {
+    result = result.filter((balloon) => inRange(balloon.sampleCount ?? balloon.track?.length, samples.value));
+  }
+
+  const lastSeen = parseRange(query, 'lastSeenFrom', 'lastSeenTo', Date.parse);
+  if (lastSeen.error) return { error: lastSeen.error };
+  if (lastSeen.value) {
+    result = result.filter((balloon) => inRange(Date.parse(balloon.lastSeen), lastSeen.value));
+  }
+
+  const window = parseRange(query, 'from', 'to', Date.parse);
+  if (window.error) return { error: window.error };
+  if (window.value) {
+    result = result
+      .map((balloon) => {
+        const track = balloon.track.filter((point) => inRange(Date.parse(point.timestamp), window.value));
+        if (!track.length) return null;
+        if (track.length === balloon.track.length) return balloon;
+        return finalizeBalloonTrack({ ...balloon, track });
+      })
+      .filter(Boolean);
+  }
+
+  return { balloons: result };
+}
+
+// Earthquake filters for /api/earthquakes, in the same grammar:
+// - `bbox`: as for balloons, on the epicentre
+// - `minMag` / `maxMag`: magnitude range
+// - `since` / `until`: ISO window on `occurredAt`
+function applyEarthquakeFilters(earthquakes, query = {}) {
+  let result = earthquakes;
+
+  const bbox = parseBbox(query.bbox);
+  if (bbox.error) return { error: bbox.error };
+  if (bbox.value) {
+    result = result.filter((quake) => inBbox(quake.coordinates[1], quake.coordinates[0], bbox.value));
+  }
+
+  const magnitude = parseRange(query, 'minMag', 'maxMag', Number);
+  if (magnitude.error) return { error: magnitude.error };
+  if (magnitude.value) {
+    result = result.filter((quake) => inRange(quake.magnitude, magnitude.value));
+  }
+
+  const window = parseRange(query, 'since', 'until', Date.parse);
+  if (window.error) return { error: window.error };
+  if (window.value) {
+    result = result.filter((quake) => inRange(Date.parse(quake.occurredAt), window.value));
+  }
+
+  return { earthquakes: result };
+}
+
+const BALLOON_SORT_FIELDS = {
+  balloonId: (balloon) => balloon.balloonId,
+  lastSeen: (balloon) => Date.parse(balloon.lastSeen),
+  firstSeen: (balloon) => Date.parse(balloon.firstSeen),
+  altitude: (balloon) => balloon.latest?.altitude,
+  altitudeDelta: (balloon) => balloon.altitudeDelta,
+  totalDistanceKm: (balloon) => balloon.totalDistanceKm,
+  sampleCount: (balloon) => balloon.sampleCount,
+  speed: (balloon) => balloon.kinematics?.latestSpeed
+};
+
+const EARTHQUAKE_SORT_FIELDS = {
+  occurredAt: (quake) => Date.parse(quake.occurredAt),
+  magnitude: (quake) => quake.magnitude,
+  place: (quake) => quake.place
+};
+
+function parseBbox(value) {
+  if (value == null || value === '') return { value: null };
+  const parts = String(value).split(',').map(Number);
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (
+    parts.length !== 4 ||
+    !parts.every(Number.isFinite) ||
+    minLat > maxLat ||
+    Math.abs(minLat) > 90 ||
+    Math.abs(maxLat) > 90 ||
+    Math.abs(minLon) > 180 ||
+    Math.abs(maxLon) > 180
+  ) {
+    return { error: '"bbox" must be minLon,minLat,maxLon,maxLat in degrees' };
+  }
+  return { value: { minLon, minLat, maxLon, maxLat } };
+}
+
+function inBbox(lat, lon, bbox) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < bbox.minLat || lat > bbox.maxLat) return false;
+  return bbox.minLon <= bbox.maxLon ? lon >= bbox.minLon && lon <= bbox.maxLon : lon >= bbox.minLon || lon <= bbox.maxLon;
+}
+
+// Reads an optional [min, max] pair of query parameters through `parse`; value is null when neither is set.
+function parseRange(query, minName, maxName, parse) {
+  const bounds = [minName, maxName].map((name) => {
+    if (query[name] == null || query[name] === '') return null;
+    const parsed = parse(String(query[name]));
+    return Number.isFinite(parsed) ? parsed : NaN;
+  });
+  if (bounds.some(Number.isNaN)) {
+    return { error: `Invalid "${minName}" or "${maxName}"` };
+  }
+  if (bounds[0] == null && bounds[1] == null) return { value: null };
+  return { value: { min: bounds[0] ?? -Infinity, max: bounds[1] ?? Infinity } };
+}
+
+function inRange(value, range) {
+  return Number.isFinite(value) && value >= range.min && value <= range.max;
+}
+
+// `sort` takes a field name, prefixed with "-" for descending; missing values sort last. `limit`
+// pages the result and `cursor` continues from the `nextCursor` of the previous page. Cursors are
+// tied to the ETag they were issued under (the live dataset's unless `etag` is given), so a refresh
+// in between restarts paging cleanly.
+function paginate(items, query = {}, sortFields, etag = cache.meta.etag) {
+  let result = items;
+
+  if (query.sort) {
+    const descending = String(query.sort).startsWith('-');
+    const field = String(query.sort).replace(/^-/, '');
+    const accessor = sortFields[field];
+    if (!accessor) {
+      return { error: `"sort" must be one of ${Object.keys(sortFields).join(', ')}` };
+    }
+    result = [...result].sort((a, b) => compareValues(accessor(a), accessor(b), descending));
+  }
+
+  let offset = 0;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid "cursor"' };
+    if (cursor.etag !== etag) return { error: 'Cursor is from an older refresh; start again without it' };
+    offset = cursor.offset;
+  }
+
+  let limit = null;
+  if (query.limit != null && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+      return { error: `"limit" must be a whole number between 1 and ${MAX_PAGE_LIMIT}` };
+    }
+  }
+
+  const end = limit == null ? result.length : offset + limit;
+  return {
+    items: result.slice(offset, end),
+    info: {
+      total: result.length,
+      offset,
+      limit,
+      nextCursor: end < result.length ? encodeCursor({ offset: end, etag }) : null
+    }
+  };
+}
+
+function compareValues(a, b, descending) {
+  const aMissing = a == null || Number.isNaN(a);
+  const bMissing = b == null || Number.isNaN(b);
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  const order = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return descending ? -order : order;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return Number.isInteger(cursor?.offset) && cursor.offset >= 0 ? cursor : null;
+  } catch {
+    return null;
+  }
+}
+
+// `fields` lists the top-level members to keep (e.g. `balloonId,latest,kinematics`); entries
+// prefixed with "-" drop members instead. "-raw" also strips the upstream payload from samples.
+function selectFields(items, fields) {
+  if (!fields) return items;
+
+  const names = String(fields).split(',').map((name) => name.trim()).filter(Boolean);
+  const include = names.filter((name) => !name.startsWith('-'));
+  const exclude = new Set(names.filter((name) => name.startsWith('-')).map((name) => name.slice(1)));
+
+  return items.map((item) => {
+    let result = include.length
+      ? Object.fromEntries(
+          Object.entries(item).filter(([key]) => include.includes(key) || key === 'balloonId' || key === 'id')
+        )
+      : { ...item };
+    exclude.forEach((key) => delete result[key]);
+
+    if (exclude.has('raw')) {
+      if (result.latest) result = { ...result, latest: omitRaw(result.latest) };
+      if (Array.isArray(result.track)) result = { ...result, track: result.track.map(omitRaw) };
+    }
+    return result;
+  });
+}
+
+function fieldsExclude(fields, name) {
+  return String(fields || '')
+    .split(',')
+    .some((entry) => entry.trim() === `-${name}`);
+}
+
+function omitRaw({ raw: _raw, ...point }) {
+  return point;
+}
+
+module.exports = {
+  applyBalloonFilters,
+  applyEarthquakeFilters,
+  BALLOON_SORT_FIELDS,
+  EARTHQUAKE_SORT_FIELDS,
+  paginate,
+  compareValues,
+  selectFields,
+  fieldsExclude,
+  omitRaw
+};
@@ -0,0 +1,62 @@
+const {
+  CONTACT_MAX_LENGTH,
+  QUESTIONS_FILE,
+  QUESTION_MAX_LENGTH,
+  QUESTION_MIN_LENGTH,
+  QUESTION_RATE_LIMIT,
+  QUESTION_RATE_WINDOW_MS
+} = require('./config');
+const { createJsonStore } = require('./store');
+
+// Per-address submission counts for POST /api/questions.
+const questionRateWindows = new Map();
+const questionStore = createJsonStore(QUESTIONS_FILE, []);
+
+function validateQuestion(message, contact) {
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    return 'Missing question text in "message"';
+  }
+  if (!contact || typeof contact !== 'string' || !contact.trim()) {
+    return 'Please include contact info in "contact"';
+  }
+  const text = message.trim();
+  if (text.length < QUESTION_MIN_LENGTH || text.length > QUESTION_MAX_LENGTH) {
+    return `Questions must be between ${QUESTION_MIN_LENGTH} and ${QUESTION_MAX_LENGTH} characters`;
+  }
+  const reach = contact.trim();
+  if (reach.length > CONTACT_MAX_LENGTH) {
+    return `Contact info is limited to ${CONTACT_MAX_LENGTH} characters`;
+  }
+  if (!isValidContact(reach)) {
+    return 'Contact must be an email address or a phone number';
+  }
+  return null;
+}
+
+function isValidContact(contact) {
+  if (contact.includes('@')) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(contact);
+  }
+  const digits = contact.replace(/\D/g, '');
+  return /^\+?[\d\s().-]+$/.test(contact) && digits.length >= 7 && digits.length <= 15;
+}
+
+// Fixed-window limiter keyed by client address. Expired windows are swept on each call so the map
+// only holds addresses seen within the last window.
+function takeQuestionSlot(ip) {
+  const now = Date.now();
+  for (const [key, window] of questionRateWindows) {
+    if (now - window.startedAt >= QUESTION_RATE_WINDOW_MS) questionRateWindows.delete(key);
+  }
+
+  const key = ip || 'unknown';
+  const window = questionRateWindows.get(key) || { startedAt: now, count: 0 };
+  if (window.count >= QUESTION_RATE_LIMIT) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((window.startedAt + QUESTION_RATE_WINDOW_MS - now) / 1000) };
+  }
+  window.count += 1;
+  questionRateWindows.set(key, window);
+  return { allowed: true };
+}
+
+module.exports = { questionStore, validateQuestion, takeQuestionSlot };
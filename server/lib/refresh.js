@@ -0,0 +1,92 @@
+const { FIXTURE_MODE } = require('./config');
+const { cache } = require('./state');
+const { hashContent } = require('./util');
+const { balloonLatLon, createSpatialIndex, quakeLatLon } = require('./geo');
+const { buildBalloonTracks } = require('./tracks');
+const { createQualityReport, summarizeQuality } = require('./quality');
+const { fetchEarthquakes, loadWindborneHistory } = require('./ingest');
+const { archiveFrames } = require('./archive');
+const { computeDatasetEtag, recordVersion } = require('./delta');
+const { broadcastStreamEvent, streamSnapshot } = require('./stream');
+const { computeConstellationStats } = require('./stats');
+const { computeWindField } = require('./winds');
+const { CONTEXT_PROVIDERS, attachNearestContext, refreshContextProvider } = require('./context');
+const { attachNearestEarthquake } = require('./proximity');
+const { indexTrackPoints } = require('./encounters');
+const { detectGeofenceTransitions, recordGeofenceAlerts } = require('./geofences');
+
+let refreshInFlight = null;
+// Tracks and quality summary as last built, keyed by a digest of the frames they came from, so a
+// refresh where only the earthquake or context feeds changed re-annotates them instead.
+let builtTracks = { key: null, balloons: [], quality: null };
+
+// Refreshes never overlap: a call made while one is running waits for that run instead.
+function refreshData() {
+  if (!refreshInFlight) {
+    refreshInFlight = runRefresh().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+async function runRefresh() {
+  const [frames, earthquakes] = await Promise.all([loadWindborneHistory(), fetchEarthquakes()]);
+  const etag = computeDatasetEtag(frames, earthquakes);
+  cache.meta.lastRefresh = new Date().toISOString();
+
+  // Nothing upstream changed since the last run: keep the tracks and the ETag as they are.
+  if (etag === cache.meta.etag) return;
+
+  // Association links points across every frame, so any changed hour rebuilds all tracks.
+  const framesKey = hashContent(frames.map(({ hourTag, timestamp, hash }) => `${hourTag}:${timestamp}:${hash}`));
+  if (framesKey !== builtTracks.key) {
+    // Replayed frames carry shifted timestamps, so they stay out of the archive.
+    if (FIXTURE_MODE !== 'replay') {
+      await archiveFrames(frames).catch((error) => console.warn('Failed to archive frames:', error.message));
+    }
+    const qualityReport = createQualityReport();
+    const tracks = buildBalloonTracks(frames, qualityReport, builtTracks.balloons);
+    builtTracks = { key: framesKey, balloons: tracks, quality: summarizeQuality(qualityReport, frames) };
+  }
+
+  const earthquakeIndex = createSpatialIndex(earthquakes, quakeLatLon);
+  const balloons = attachNearestContext(attachNearestEarthquake(builtTracks.balloons, earthquakeIndex), CONTEXT_PROVIDERS);
+  cache.quality = builtTracks.quality;
+  cache.meta.quality = cache.quality.summary;
+  cache.frames = frames;
+  cache.earthquakes = earthquakes;
+  cache.earthquakeIndex = earthquakeIndex;
+  await publishBalloons(balloons);
+}
+
+// Re-attaches one provider's features after its own refresh loop fetched something new. Waits for a
+// running refresh so the two never publish over each other.
+async function refreshContext(provider) {
+  const previousHash = cache.context[provider.id]?.hash;
+  await refreshContextProvider(provider);
+  if (cache.context[provider.id]?.hash === previousHash) return;
+  if (refreshInFlight) await refreshInFlight.catch(() => {});
+  // The refresh may already have picked the new features up.
+  if (computeDatasetEtag(cache.frames, cache.earthquakes) === cache.meta.etag) return;
+  await publishBalloons(attachNearestContext(cache.balloons, [provider]));
+}
+
+// Serves a new set of balloons: rebuilds everything derived from them, moves the ETag, checks
+// geofences and tells stream clients. Every path that changes cache.balloons ends here.
+async function publishBalloons(balloons) {
+  cache.balloons = balloons;
+  cache.balloonIndex = createSpatialIndex(balloons, balloonLatLon);
+  cache.trackPointIndex = indexTrackPoints(balloons);
+  cache.stats = computeConstellationStats(cache.frames, balloons);
+  cache.winds = computeWindField(balloons);
+  cache.meta.etag = computeDatasetEtag(cache.frames, cache.earthquakes);
+  recordVersion();
+  await recordGeofenceAlerts(detectGeofenceTransitions(cache.balloons, cache.balloonIndex)).catch((error) =>
+    console.warn('Failed to record geofence alerts:', error.message)
+  );
+
+  broadcastStreamEvent('refresh', streamSnapshot());
+}
+
+module.exports = { refreshData, refreshContext };
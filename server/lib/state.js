@@ -0,0 +1,28 @@
+const { createSpatialIndex } = require('./geo');
+
+const cache = {
+  frames: [],
+  balloons: [],
+  earthquakes: [],
+  // Latest features per context provider, keyed by provider id.
+  context: {},
+  quality: null,
+  stats: null,
+  winds: null,
+  balloonIndex: createSpatialIndex([], () => null),
+  earthquakeIndex: createSpatialIndex([], () => null),
+  // Every track sample, for the time-aware encounter search.
+  trackPointIndex: createSpatialIndex([], () => null),
+  meta: {
+    lastRefresh: null,
+    etag: '0',
+    quality: null,
+    datasetNote: 'I picked the USGS real-time earthquake GeoJSON feed because it is unauthenticated, global, and adds high-impact geophysical context to the balloon constellation.'
+  },
+  questions: [],
+  geofences: [],
+  // Geofence entry/exit events, oldest first, capped at ALERT_HISTORY_SIZE.
+  alerts: []
+};
+
+module.exports = { cache };
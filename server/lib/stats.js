@@ -0,0 +1,57 @@
+const { NEAR_DEFAULT_RADIUS_KM, STATS_ALTITUDE_BIN, STATS_LATITUDE_BAND_DEG } = require('./config');
+const { median } = require('./util');
+
+// Fleet-wide aggregates over the tracks built by buildBalloonTracks. Altitudes are binned in the
+// feed's units from each balloon's latest sample; latitude bands and hemispheres also use the latest
+// position.
+function computeConstellationStats(frames, balloons) {
+  const latest = balloons.map((balloon) => balloon.latest).filter(Boolean);
+  const altitudes = latest.map((point) => point.altitude).filter(Number.isFinite);
+  const distances = balloons.map((balloon) => balloon.totalDistanceKm).filter(Number.isFinite);
+  const totalDistanceKm = distances.reduce((sum, value) => sum + value, 0);
+
+  const altitudeBins = [];
+  const maxAltitude = altitudes.length ? Math.max(...altitudes) : 0;
+  for (let from = 0; from <= maxAltitude; from += STATS_ALTITUDE_BIN) {
+    altitudeBins.push({ from, to: from + STATS_ALTITUDE_BIN, count: 0 });
+  }
+  altitudes.forEach((altitude) => {
+    const bin = altitudeBins[Math.floor(Math.max(0, altitude) / STATS_ALTITUDE_BIN)];
+    if (bin) bin.count += 1;
+  });
+
+  const latitudeBands = [];
+  for (let from = -90; from < 90; from += STATS_LATITUDE_BAND_DEG) {
+    latitudeBands.push({ from, to: from + STATS_LATITUDE_BAND_DEG, count: 0 });
+  }
+  const hemispheres = { north: 0, south: 0, east: 0, west: 0 };
+  latest.forEach(({ lat, lon }) => {
+    const band = Math.min(latitudeBands.length - 1, Math.floor((lat + 90) / STATS_LATITUDE_BAND_DEG));
+    latitudeBands[band].count += 1;
+    hemispheres[lat >= 0 ? 'north' : 'south'] += 1;
+    hemispheres[lon >= 0 ? 'east' : 'west'] += 1;
+  });
+
+  const nearQuakeCount = balloons.filter(
+    (balloon) => balloon.nearestEarthquake && balloon.nearestEarthquake.distanceKm <= NEAR_DEFAULT_RADIUS_KM
+  ).length;
+
+  return {
+    balloonCount: balloons.length,
+    sampleCount: balloons.reduce((sum, balloon) => sum + balloon.sampleCount, 0),
+    balloonsPerHour: [...frames]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(({ hourTag, timestamp, recordCount }) => ({ hourTag, timestamp: new Date(timestamp).toISOString(), recordCount })),
+    altitudeHistogram: { binSize: STATS_ALTITUDE_BIN, bins: altitudeBins },
+    latitudeBands,
+    hemispheres,
+    distance: {
+      totalKm: Number(totalDistanceKm.toFixed(1)),
+      medianKm: distances.length ? Number(median(distances).toFixed(1)) : null,
+      maxKm: distances.length ? Math.max(...distances) : null
+    },
+    nearQuakes: { radiusKm: NEAR_DEFAULT_RADIUS_KM, count: nearQuakeCount }
+  };
+}
+
+module.exports = { computeConstellationStats };
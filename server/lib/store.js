@@ -0,0 +1,32 @@
+const path = require('path');
+const fs = require('fs');
+
+// JSON file holding one value. `load` falls back when the file does not exist yet; `save` snapshots
+// the value immediately and chains the write behind earlier ones, swapping it in with a rename.
+function createJsonStore(file, fallback) {
+  let pending = Promise.resolve();
+
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+      }
+    },
+    save(value) {
+      const snapshot = JSON.stringify(value, null, 2);
+      pending = pending
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.writeFile(`${file}.tmp`, snapshot);
+          await fs.promises.rename(`${file}.tmp`, file);
+        });
+      return pending;
+    }
+  };
+}
+
+module.exports = { createJsonStore };
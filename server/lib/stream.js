@@ -0,0 +1,23 @@
+const { cache } = require('./state');
+
+// Open Server-Sent Events responses, notified whenever refreshData finishes.
+const streamClients = new Set();
+
+function streamSnapshot() {
+  return {
+    etag: cache.meta.etag,
+    lastRefresh: cache.meta.lastRefresh,
+    balloonCount: cache.balloons.length,
+    earthquakeCount: cache.earthquakes.length
+  };
+}
+
+function writeStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastStreamEvent(event, data) {
+  streamClients.forEach((res) => writeStreamEvent(res, event, data));
+}
+
+module.exports = { streamClients, streamSnapshot, writeStreamEvent, broadcastStreamEvent };
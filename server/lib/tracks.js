@@ -0,0 +1,479 @@
+const {
+  FORECAST_BASE_UNCERTAINTY_KM,
+  FORECAST_FIT_HOURS,
+  TRACK_MAX_ALTITUDE_DELTA_PER_HOUR,
+  TRACK_MAX_DRIFT_KMH,
+  TRACK_MAX_GAP_HOURS
+} = require('./config');
+const { parseTimestamp, pickNumber } = require('./util');
+const { bearingDeg, destinationPoint, haversineKm, hoursBetween } = require('./geo');
+const { createQualityReport, recordAnomaly, validateSample, validateTrack } = require('./quality');
+
+// `previous` is the last build's balloon list; linked tracks take their IDs over from it (see
+// nameLinkedTracks).
+function buildBalloonTracks(frames, report = createQualityReport(), previous = []) {
+  const trackMap = new Map();
+  const anonymousFrames = [];
+
+  frames.forEach((frame) => {
+    const entries = unwrapEntries(frame.raw);
+    const anonymousPoints = [];
+    const anonymousKeys = new Set();
+    entries.forEach((entry, idx) => {
+      report.samples += 1;
+      const normalized = normalizeBalloon(entry, frame, idx);
+      if (!normalized) {
+        recordAnomaly(report, 'UNPARSEABLE', { hourTag: frame.hourTag, timestamp: frame.timestamp });
+        return;
+      }
+
+      const sampleIssue = validateSample(normalized);
+      if (sampleIssue) {
+        recordAnomaly(report, sampleIssue, normalized);
+        return;
+      }
+
+      // Points without an upstream ID are linked across frames further down.
+      if (Array.isArray(entry) || !pickBalloonId(entry)) {
+        const key = `${normalized.lat}|${normalized.lon}|${normalized.altitude}`;
+        if (anonymousKeys.has(key)) {
+          recordAnomaly(report, 'DUPLICATE_SAMPLE', normalized);
+          return;
+        }
+        anonymousKeys.add(key);
+        anonymousPoints.push({ idx, point: normalized });
+        return;
+      }
+
+      const existing = trackMap.get(normalized.balloonId) || {
+        balloonId: normalized.balloonId,
+        association: { method: 'upstream-id', confidence: 1 },
+        track: []
+      };
+      existing.track.push(normalized);
+      trackMap.set(normalized.balloonId, existing);
+    });
+    if (anonymousPoints.length) anonymousFrames.push({ frame, points: anonymousPoints });
+  });
+
+  nameLinkedTracks(associateAnonymousTracks(anonymousFrames), previous, new Set(trackMap.keys())).forEach((trackObj) => {
+    trackMap.set(trackObj.balloonId, trackObj);
+  });
+
+  return Array.from(trackMap.values())
+    .map((trackObj) => finalizeBalloonTrack(validateTrack(trackObj, report)))
+    .filter(Boolean);
+}
+
+// Links ID-less points frame by frame (oldest first). A point keeps the track that held the same
+// array index in the previous frame when it passes the drift gate; everything else falls back to
+// greedy nearest-neighbour matching inside the same gate. Unmatched points start new tracks.
+function associateAnonymousTracks(anonymousFrames) {
+  const tracks = [];
+  let active = [];
+
+  anonymousFrames.forEach(({ frame, points }) => {
+    active = active.filter((state) => hoursBetween(state.lastPoint.timestamp, frame.timestamp) <= TRACK_MAX_GAP_HOURS);
+
+    const claimedTracks = new Set();
+    const claimedPoints = new Set();
+    const link = (state, candidate, cost, method) => {
+      const confidence = method === 'index' ? 1 - 0.25 * cost : 0.75 * (1 - cost);
+      candidate.point.linkConfidence = Number(confidence.toFixed(3));
+      state.trackObj.track.push(candidate.point);
+      state.links.push({ method, confidence });
+      state.lastPoint = candidate.point;
+      state.lastIdx = candidate.idx;
+      claimedTracks.add(state);
+      claimedPoints.add(candidate);
+    };
+
+    const byIndex = new Map(points.map((candidate) => [candidate.idx, candidate]));
+    active.forEach((state) => {
+      const candidate = byIndex.get(state.lastIdx);
+      if (!candidate || claimedPoints.has(candidate)) return;
+      const cost = linkCost(state.lastPoint, candidate.point);
+      if (cost != null) link(state, candidate, cost, 'index');
+    });
+
+    const pairs = [];
+    active.forEach((state) => {
+      if (claimedTracks.has(state)) return;
+      points.forEach((candidate) => {
+        if (claimedPoints.has(candidate)) return;
+        const cost = linkCost(state.lastPoint, candidate.point);
+        if (cost != null) pairs.push({ state, candidate, cost });
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+    pairs.forEach(({ state, candidate, cost }) => {
+      if (claimedTracks.has(state) || claimedPoints.has(candidate)) return;
+      link(state, candidate, cost, 'nearest');
+    });
+
+    points.forEach((candidate) => {
+      if (claimedPoints.has(candidate)) return;
+      candidate.point.linkConfidence = null;
+      const state = {
+        trackObj: { balloonId: null, track: [candidate.point] },
+        links: [],
+        firstIdx: candidate.idx,
+        lastPoint: candidate.point,
+        lastIdx: candidate.idx
+      };
+      tracks.push(state);
+      active.push(state);
+    });
+  });
+
+  return tracks.map(({ trackObj, links, firstIdx }) => {
+    const confidence = links.length ? links.reduce((sum, item) => sum + item.confidence, 0) / links.length : null;
+    return {
+      ...trackObj,
+      firstIdx,
+      association: {
+        method: 'linked',
+        confidence: confidence == null ? null : Number(confidence.toFixed(3)),
+        indexLinks: links.filter((item) => item.method === 'index').length,
+        nearestLinks: links.filter((item) => item.method === 'nearest').length
+      }
+    };
+  });
+}
+
+// Gives linked tracks IDs that survive refreshes. A track keeps the ID of the previous build's track
+// it shares the most samples with, so rolled-off hours, missing frames and shifted array indexes do
+// not rename it; when two tracks share samples with the same old track, the one sharing more keeps
+// the ID. Any other track is named after its first sample's hour and array index. `takenIds` holds
+// the upstream IDs; a name that is already taken gets a `.2`, `.3`, … suffix instead of being dropped.
+function nameLinkedTracks(linked, previous, takenIds) {
+  const previousIds = new Map();
+  previous.forEach((balloon) => {
+    if (balloon.association?.method !== 'linked') return;
+    balloon.track.forEach((point) => previousIds.set(sampleKey(point), balloon.balloonId));
+  });
+
+  const claims = [];
+  linked.forEach((trackObj) => {
+    const shared = new Map();
+    trackObj.track.forEach((point) => {
+      const id = previousIds.get(sampleKey(point));
+      if (id) shared.set(id, (shared.get(id) || 0) + 1);
+    });
+    shared.forEach((count, id) => claims.push({ trackObj, id, count }));
+  });
+  claims.sort((a, b) => b.count - a.count);
+
+  const names = new Map();
+  claims.forEach(({ trackObj, id }) => {
+    if (names.has(trackObj) || takenIds.has(id)) return;
+    names.set(trackObj, id);
+    takenIds.add(id);
+  });
+
+  return linked.map((linkedTrack) => {
+    const { firstIdx, ...trackObj } = linkedTrack;
+    let balloonId = names.get(linkedTrack);
+    if (!balloonId) {
+      const first = trackObj.track[0];
+      const base = `coord-${first.timestamp.slice(0, 13).replace(/[-:]/g, '')}-${firstIdx}`;
+      balloonId = base;
+      for (let suffix = 2; takenIds.has(balloonId); suffix += 1) balloonId = `${base}.${suffix}`;
+      takenIds.add(balloonId);
+    }
+    trackObj.track.forEach((point) => {
+      point.balloonId = balloonId;
+    });
+    return { ...trackObj, balloonId };
+  });
+}
+
+function sampleKey(point) {
+  return `${point.timestamp}|${point.lat}|${point.lon}|${point.altitude}`;
+}
+
+// Normalised cost (0 = same spot, 1 = edge of the gate) of linking two samples, or null if the
+// move is not plausible for the elapsed time.
+function linkCost(prev, next) {
+  const hours = hoursBetween(prev.timestamp, next.timestamp);
+  if (!(hours > 0)) return null;
+
+  const maxDistanceKm = TRACK_MAX_DRIFT_KMH * hours;
+  if (Math.abs(next.lat - prev.lat) * 111.2 > maxDistanceKm) return null;
+  const distanceKm = haversineKm(prev.lat, prev.lon, next.lat, next.lon);
+  if (distanceKm > maxDistanceKm) return null;
+
+  let altitudeCost = 0;
+  if (Number.isFinite(prev.altitude) && Number.isFinite(next.altitude)) {
+    const maxAltitudeDelta = TRACK_MAX_ALTITUDE_DELTA_PER_HOUR * hours;
+    const altitudeDelta = Math.abs(next.altitude - prev.altitude);
+    if (altitudeDelta > maxAltitudeDelta) return null;
+    altitudeCost = altitudeDelta / maxAltitudeDelta;
+  }
+
+  return Math.max(distanceKm / maxDistanceKm, altitudeCost);
+}
+
+function unwrapEntries(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload)) return payload;
+
+  if (typeof payload === 'object') {
+    if (Array.isArray(payload.balloons)) return payload.balloons;
+    if (Array.isArray(payload.constellation)) return payload.constellation;
+    if (typeof payload.data === 'object') return unwrapEntries(payload.data);
+    return Object.values(payload);
+  }
+
+  return [];
+}
+
+function normalizeBalloon(entry, frame, idx) {
+  if (!entry) return null;
+
+  if (Array.isArray(entry)) {
+    const lat = Number(entry[0]);
+    const lon = Number(entry[1]);
+    const altitude = Number(entry[2]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    return {
+      balloonId: `coord-${frame.hourTag}-${idx}`,
+      timestamp: new Date(frame.timestamp).toISOString(),
+      hourTag: frame.hourTag,
+      lat,
+      lon,
+      altitude: Number.isFinite(altitude) ? altitude : null,
+      speed: null,
+      bearing: null,
+      raw: { lat: entry[0], lon: entry[1], altitude: entry[2] }
+    };
+  }
+
+  if (typeof entry !== 'object') return null;
+
+  const balloonId = pickBalloonId(entry) || `unknown-${frame.hourTag}-${idx}`;
+
+  const { lat, lon } = extractCoordinates(entry);
+  if (!isFinite(lat) || !isFinite(lon)) return null;
+
+  const altitude = pickNumber(entry.altitude, entry.alt, entry.elevation, entry.height);
+  const speed = pickNumber(entry.speed, entry.vel, entry.velocity);
+  const bearing = pickNumber(entry.bearing, entry.heading, entry.course);
+
+  const timestamp =
+    parseTimestamp(entry.timestamp) ||
+    parseTimestamp(entry.time) ||
+    parseTimestamp(entry.recorded_at) ||
+    parseTimestamp(entry.ts) ||
+    new Date(frame.timestamp).toISOString();
+
+  return {
+    balloonId: String(balloonId),
+    timestamp,
+    hourTag: frame.hourTag,
+    lat,
+    lon,
+    altitude: altitude ?? null,
+    speed: speed ?? null,
+    bearing: bearing ?? null,
+    raw: entry
+  };
+}
+
+function pickBalloonId(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  return entry.id || entry.balloonId || entry.callsign || entry.name || entry.serial || entry.device || null;
+}
+
+function extractCoordinates(entry) {
+  const location = entry.location || entry.position || entry.coordinates || entry.coord || entry.coords;
+
+  const lat = pickNumber(
+    entry.lat,
+    entry.latitude,
+    location?.lat,
+    location?.latitude,
+    Array.isArray(location) ? location[1] : null
+  );
+  const lon = pickNumber(
+    entry.lon,
+    entry.lng,
+    entry.longitude,
+    location?.lon,
+    location?.lng,
+    location?.longitude,
+    Array.isArray(location) ? location[0] : null
+  );
+
+  return { lat, lon };
+}
+
+function finalizeBalloonTrack(trackObj) {
+  if (!trackObj.track.length) return null;
+
+  trackObj.track.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const track = deriveSegmentKinematics(trackObj.track);
+  const latest = track[track.length - 1];
+  const earliest = track[0];
+
+  const totalDistanceKm = computePathDistance(track);
+  const altitudeDelta = (latest.altitude ?? 0) - (earliest.altitude ?? 0);
+
+  return {
+    ...trackObj,
+    track,
+    latest,
+    firstSeen: earliest.timestamp,
+    lastSeen: latest.timestamp,
+    totalDistanceKm: Number(totalDistanceKm.toFixed(2)),
+    altitudeDelta,
+    sampleCount: track.length,
+    kinematics: summarizeKinematics(track, totalDistanceKm)
+  };
+}
+
+// Fills each sample with the motion of the segment that ends at it: ground speed (km/h), initial
+// great-circle bearing (degrees) and vertical rate (altitude units per hour). Upstream speed and
+// bearing win when the feed provides them.
+function deriveSegmentKinematics(points) {
+  return points.map((point, idx) => {
+    const derived = { ...point, verticalRate: point.verticalRate ?? null };
+    if (idx === 0) return derived;
+
+    const prev = points[idx - 1];
+    const hours = hoursBetween(prev.timestamp, point.timestamp);
+    if (!(hours > 0)) return derived;
+
+    const distanceKm = haversineKm(prev.lat, prev.lon, point.lat, point.lon);
+    derived.speed = point.speed ?? Number((distanceKm / hours).toFixed(1));
+    derived.bearing = point.bearing ?? (distanceKm > 0 ? Number(bearingDeg(prev.lat, prev.lon, point.lat, point.lon).toFixed(1)) : null);
+    if (Number.isFinite(prev.altitude) && Number.isFinite(point.altitude)) {
+      derived.verticalRate = Number(((point.altitude - prev.altitude) / hours).toFixed(3));
+    }
+    return derived;
+  });
+}
+
+function summarizeKinematics(track, totalDistanceKm) {
+  const speeds = track.map((point) => point.speed).filter(Number.isFinite);
+  const verticalRates = track.map((point) => point.verticalRate).filter(Number.isFinite);
+  const latest = track[track.length - 1];
+  const elapsedHours = hoursBetween(track[0].timestamp, latest.timestamp);
+
+  return {
+    latestSpeed: latest.speed ?? null,
+    latestBearing: latest.bearing ?? null,
+    maxSpeed: speeds.length ? Math.max(...speeds) : null,
+    meanSpeed: elapsedHours > 0 ? Number((totalDistanceKm / elapsedHours).toFixed(1)) : null,
+    latestVerticalRate: latest.verticalRate ?? null,
+    maxAscentRate: verticalRates.length ? Math.max(0, ...verticalRates) : null,
+    maxDescentRate: verticalRates.length ? Math.min(0, ...verticalRates) : null
+  };
+}
+
+// Dead-reckons a track forward using the mean drift velocity of its segments from the last
+// FORECAST_FIT_HOURS. The uncertainty radius grows with the spread of those segment velocities plus
+// a share of the speed itself, so a steady balloon gets a narrow cone and an erratic one a wide cone.
+function forecastTrack(track, hours) {
+  if (!Array.isArray(track) || track.length < 2) return null;
+
+  const latest = track[track.length - 1];
+  const recent = track.filter((point) => hoursBetween(point.timestamp, latest.timestamp) <= FORECAST_FIT_HOURS);
+  const velocities = [];
+  for (let i = 1; i < recent.length; i += 1) {
+    const prev = recent[i - 1];
+    const curr = recent[i];
+    const elapsed = hoursBetween(prev.timestamp, curr.timestamp);
+    if (!(elapsed > 0)) continue;
+    const speed = haversineKm(prev.lat, prev.lon, curr.lat, curr.lon) / elapsed;
+    const heading = (bearingDeg(prev.lat, prev.lon, curr.lat, curr.lon) * Math.PI) / 180;
+    velocities.push({ east: speed * Math.sin(heading), north: speed * Math.cos(heading) });
+  }
+  if (!velocities.length) return null;
+
+  const east = velocities.reduce((sum, v) => sum + v.east, 0) / velocities.length;
+  const north = velocities.reduce((sum, v) => sum + v.north, 0) / velocities.length;
+  const speedKmh = Math.hypot(east, north);
+  const bearing = ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360;
+  const spreadKmh = Math.sqrt(
+    velocities.reduce((sum, v) => sum + (v.east - east) ** 2 + (v.north - north) ** 2, 0) / velocities.length
+  );
+  const growthKmh = Math.max(5, spreadKmh + 0.2 * speedKmh);
+  const verticalRate = pickNumber(latest.verticalRate) ?? 0;
+  const startMs = new Date(latest.timestamp).getTime();
+
+  const points = [];
+  for (let h = 1; h <= hours; h += 1) {
+    const [lat, lon] = destinationPoint(latest.lat, latest.lon, bearing, speedKmh * h);
+    points.push({
+      hoursAhead: h,
+      timestamp: new Date(startMs + h * 3600 * 1000).toISOString(),
+      lat: Number(lat.toFixed(4)),
+      lon: Number(lon.toFixed(4)),
+      altitude: Number.isFinite(latest.altitude) ? Math.max(0, Number((latest.altitude + verticalRate * h).toFixed(3))) : null,
+      uncertaintyKm: Number((FORECAST_BASE_UNCERTAINTY_KM + growthKmh * h).toFixed(1))
+    });
+  }
+
+  // Cone outline: the latest fix, then the left edge outwards and the right edge back.
+  const left = points.map((point) => destinationPoint(point.lat, point.lon, bearing - 90, point.uncertaintyKm));
+  const right = points.map((point) => destinationPoint(point.lat, point.lon, bearing + 90, point.uncertaintyKm));
+  const cone = [[latest.lat, latest.lon], ...left, ...right.reverse()].map(([lat, lon]) => [
+    Number(lat.toFixed(4)),
+    Number(lon.toFixed(4))
+  ]);
+
+  return {
+    origin: { timestamp: latest.timestamp, lat: latest.lat, lon: latest.lon, altitude: latest.altitude ?? null },
+    basis: {
+      segments: velocities.length,
+      speedKmh: Number(speedKmh.toFixed(1)),
+      bearing: Number(bearing.toFixed(1)),
+      spreadKmh: Number(spreadKmh.toFixed(1))
+    },
+    points,
+    cone
+  };
+}
+
+function computePathDistance(points) {
+  let sum = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (!isFinite(prev.lat) || !isFinite(prev.lon) || !isFinite(curr.lat) || !isFinite(curr.lon)) continue;
+    sum += haversineKm(prev.lat, prev.lon, curr.lat, curr.lon);
+  }
+  return sum;
+}
+
+// Linear position along the track at `time`, taking the short way across the antimeridian.
+// Returns null outside the track's time span.
+function interpolateTrack(track, time) {
+  const nextIdx = track.findIndex((point) => Date.parse(point.timestamp) >= time);
+  if (nextIdx === -1) return null;
+  const next = track[nextIdx];
+  const nextTime = Date.parse(next.timestamp);
+  if (nextTime === time) return { lat: next.lat, lon: next.lon, altitude: next.altitude ?? null };
+  if (nextIdx === 0) return null;
+
+  const prev = track[nextIdx - 1];
+  const prevTime = Date.parse(prev.timestamp);
+  const ratio = (time - prevTime) / (nextTime - prevTime);
+  let lonDelta = next.lon - prev.lon;
+  if (lonDelta > 180) lonDelta -= 360;
+  if (lonDelta < -180) lonDelta += 360;
+  const lon = prev.lon + lonDelta * ratio;
+  const altitude =
+    Number.isFinite(prev.altitude) && Number.isFinite(next.altitude)
+      ? Number((prev.altitude + (next.altitude - prev.altitude) * ratio).toFixed(3))
+      : null;
+
+  return {
+    lat: Number((prev.lat + (next.lat - prev.lat) * ratio).toFixed(4)),
+    lon: Number((((lon + 540) % 360) - 180).toFixed(4)),
+    altitude
+  };
+}
+
+module.exports = { buildBalloonTracks, finalizeBalloonTrack, forecastTrack, interpolateTrack };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function hashContent(value) {
+  return crypto.createHash('sha1').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+function countEntries(payload) {
+  if (!payload) return 0;
+  if (Array.isArray(payload)) return payload.length;
+  if (typeof payload === 'object') return Object.keys(payload).length;
+  return 0;
+}
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function pickNumber(...candidates) {
+  for (const candidate of candidates) {
+    const num = Number(candidate);
+    if (Number.isFinite(num)) return num;
+  }
+  return null;
+}
+
+function scheduleLoop(task, intervalMs, failureMessage) {
+  setTimeout(async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.warn(`${failureMessage}:`, error.message);
+    }
+    scheduleLoop(task, intervalMs, failureMessage);
+  }, intervalMs);
+}
+
+module.exports = { median, hashContent, countEntries, parseTimestamp, pickNumber, scheduleLoop };
@@ -0,0 +1,91 @@
+const { TRACK_MAX_GAP_HOURS, WIND_ALTITUDE_BAND, WIND_GRID_DEG, WIND_MIN_LINK_CONFIDENCE } = require('./config');
+const { bearingDeg, destinationPoint, haversineKm, hoursBetween } = require('./geo');
+
+// Each track segment is one drift measurement: the balloon's ground velocity (km/h) placed at the
+// segment's midpoint and mean altitude. Cells average the east (`u`) and north (`v`) components, so
+// `speedKmh` and `bearing` (the direction the wind blows toward) describe the mean vector, and
+// `steadiness` (0–1) drops when the vectors in a cell disagree.
+function computeWindField(balloons) {
+  const bands = new Map();
+  const all = new Map();
+
+  balloons.forEach(({ track }) => {
+    for (let i = 1; i < track.length; i += 1) {
+      const vector = segmentWind(track[i - 1], track[i]);
+      if (!vector) continue;
+      const band = Math.floor(vector.altitude / WIND_ALTITUDE_BAND);
+      if (!bands.has(band)) bands.set(band, new Map());
+      addWindVector(bands.get(band), vector);
+      addWindVector(all, vector);
+    }
+  });
+
+  return {
+    bands: [...bands.keys()]
+      .sort((a, b) => a - b)
+      .map((band) => ({
+        from: band * WIND_ALTITUDE_BAND,
+        to: (band + 1) * WIND_ALTITUDE_BAND,
+        ...summarizeWindCells(bands.get(band))
+      })),
+    all: summarizeWindCells(all)
+  };
+}
+
+function segmentWind(prev, point) {
+  const hours = hoursBetween(prev.timestamp, point.timestamp);
+  if (!(hours > 0) || hours > TRACK_MAX_GAP_HOURS) return null;
+  if (!Number.isFinite(prev.altitude) || !Number.isFinite(point.altitude)) return null;
+  if (Number.isFinite(point.linkConfidence) && point.linkConfidence < WIND_MIN_LINK_CONFIDENCE) return null;
+
+  const distanceKm = haversineKm(prev.lat, prev.lon, point.lat, point.lon);
+  const bearing = distanceKm > 0 ? bearingDeg(prev.lat, prev.lon, point.lat, point.lon) : 0;
+  const [lat, lon] = destinationPoint(prev.lat, prev.lon, bearing, distanceKm / 2);
+  const speed = distanceKm / hours;
+  const heading = (bearing * Math.PI) / 180;
+
+  return {
+    lat,
+    lon,
+    altitude: (prev.altitude + point.altitude) / 2,
+    speed,
+    u: speed * Math.sin(heading),
+    v: speed * Math.cos(heading)
+  };
+}
+
+function addWindVector(cells, vector) {
+  const row = Math.min(180 / WIND_GRID_DEG - 1, Math.floor((vector.lat + 90) / WIND_GRID_DEG));
+  const col = Math.min(360 / WIND_GRID_DEG - 1, Math.floor((vector.lon + 180) / WIND_GRID_DEG));
+  const key = `${row}:${col}`;
+  const cell = cells.get(key) || { row, col, u: 0, v: 0, speed: 0, count: 0 };
+  cell.u += vector.u;
+  cell.v += vector.v;
+  cell.speed += vector.speed;
+  cell.count += 1;
+  cells.set(key, cell);
+}
+
+function summarizeWindCells(cells) {
+  let vectorCount = 0;
+  const summaries = [...cells.values()].map(({ row, col, u, v, speed, count }) => {
+    vectorCount += count;
+    const meanU = u / count;
+    const meanV = v / count;
+    const meanSpeed = Math.hypot(meanU, meanV);
+    return {
+      lat: -90 + (row + 0.5) * WIND_GRID_DEG,
+      lon: -180 + (col + 0.5) * WIND_GRID_DEG,
+      u: Number(meanU.toFixed(1)),
+      v: Number(meanV.toFixed(1)),
+      speedKmh: Number(meanSpeed.toFixed(1)),
+      bearing: Number((((Math.atan2(meanU, meanV) * 180) / Math.PI + 360) % 360).toFixed(0)),
+      steadiness: speed > 0 ? Number((meanSpeed / (speed / count)).toFixed(2)) : null,
+      count
+    };
+  });
+
+  return { vectorCount, cells: summaries };
+}
+
+module.exports = { computeWindField };
@@ -0,0 +1,92 @@
+const express = require('express');
+
+const { WIND_ALTITUDE_BAND, WIND_GRID_DEG } = require('../lib/config');
+const { cache } = require('../lib/state');
+const { paginate } = require('../lib/query');
+const { ENCOUNTER_SORT_FIELDS, compareEncounters, findEncounters, parseEncounterQuery } = require('../lib/encounters');
+
+const router = express.Router();
+
+router.get('/api/quality', (_req, res) => {
+  if (!cache.quality) {
+    return res.status(503).json({ error: 'No refresh has completed yet' });
+  }
+
+  res.json(cache.quality);
+});
+
+router.get('/api/stats', (req, res) => {
+  if (!cache.stats) {
+    return res.status(503).json({ error: 'Statistics are not available until the first refresh completes' });
+  }
+  if (req.headers['if-none-match'] === cache.meta.etag) {
+    return res.sendStatus(304);
+  }
+
+  res.set('ETag', cache.meta.etag);
+  res.json({ ...cache.stats, meta: cache.meta });
+});
+
+// Gridded wind estimated from balloon drift, for one altitude band (`altitudeBand` is the band's
+// lower bound) or for all altitudes when it is omitted.
+router.get('/api/winds', (req, res) => {
+  if (!cache.winds) {
+    return res.status(503).json({ error: 'Winds are not available until the first refresh completes' });
+  }
+
+  let field = cache.winds.all;
+  let altitudeBand = null;
+  if (req.query.altitudeBand !== undefined) {
+    const from = Number(req.query.altitudeBand);
+    if (!Number.isFinite(from) || from < 0 || from % WIND_ALTITUDE_BAND !== 0) {
+      return res.status(400).json({ error: `"altitudeBand" must be a non-negative multiple of ${WIND_ALTITUDE_BAND}` });
+    }
+    field = cache.winds.bands.find((band) => band.from === from) || { vectorCount: 0, cells: [] };
+    altitudeBand = { from, to: from + WIND_ALTITUDE_BAND };
+  }
+  if (req.headers['if-none-match'] === cache.meta.etag) {
+    return res.sendStatus(304);
+  }
+
+  res.set('ETag', cache.meta.etag);
+  res.json({
+    gridDeg: WIND_GRID_DEG,
+    altitudeBand,
+    bands: cache.winds.bands.map(({ from, to, vectorCount }) => ({ from, to, vectorCount })),
+    vectorCount: field.vectorCount,
+    cells: field.cells,
+    meta: cache.meta
+  });
+});
+
+// Balloon–earthquake encounters: a balloon whose track passed within `radiusKm` of an epicentre within
+// `windowHours` of the quake. Ranked by distance, then time offset, then magnitude unless `sort` is given.
+router.get('/api/encounters', (req, res) => {
+  const query = parseEncounterQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const quakes = cache.earthquakes.filter(
+    (quake) =>
+      (!query.quakeId || quake.id === query.quakeId) &&
+      (query.minMag == null || (Number.isFinite(quake.magnitude) && quake.magnitude >= query.minMag))
+  );
+  const encounters = findEncounters(quakes, cache.balloons, cache.trackPointIndex, query)
+    .filter((encounter) => !query.balloonId || encounter.balloonId === query.balloonId)
+    .sort(compareEncounters);
+  const page = paginate(encounters, req.query, ENCOUNTER_SORT_FIELDS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  res.json({
+    radiusKm: query.radiusKm,
+    windowHours: query.windowHours,
+    encounters: page.items,
+    page: page.info,
+    meta: cache.meta
+  });
+});
+
+module.exports = router;
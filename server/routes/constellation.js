@@ -0,0 +1,132 @@
+const express = require('express');
+
+const {
+  EARTH_HALF_CIRCUMFERENCE_KM,
+  FORECAST_DEFAULT_HOURS,
+  FORECAST_MAX_HOURS,
+  NEAR_DEFAULT_RADIUS_KM
+} = require('../lib/config');
+const { cache } = require('../lib/state');
+const { BALLOON_SORT_FIELDS, applyBalloonFilters, paginate, selectFields } = require('../lib/query');
+const { renderCsv, renderGeoJson, renderKml } = require('../lib/exporters');
+const { forecastTrack } = require('../lib/tracks');
+const { buildConstellationDelta } = require('../lib/delta');
+const { nearestEarthquakesAlongTrack, parseNearQuery } = require('../lib/proximity');
+
+const router = express.Router();
+
+router.get('/api/constellation', (req, res) => {
+  const filtered = applyBalloonFilters(cache.balloons, req.query);
+  if (filtered.error) {
+    return res.status(400).json({ error: filtered.error });
+  }
+
+  if (req.query.since) {
+    const delta = buildConstellationDelta(String(req.query.since), filtered.balloons, req.query);
+    if (delta.error) {
+      return res.status(400).json({ error: delta.error });
+    }
+    if (delta.mode === 'delta') {
+      res.set('ETag', cache.meta.etag);
+      return res.json({
+        ...delta,
+        frames: cache.frames.map(({ hourTag, timestamp, recordCount }) => ({ hourTag, timestamp, recordCount })),
+        earthquakes: cache.earthquakes.slice(0, 10),
+        meta: cache.meta
+      });
+    }
+    // The client's version fell out of the ring: fall through to a full snapshot.
+  }
+
+  const page = paginate(filtered.balloons, req.query, BALLOON_SORT_FIELDS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  if (req.headers['if-none-match'] === cache.meta.etag) {
+    return res.sendStatus(304);
+  }
+
+  res.set('ETag', cache.meta.etag);
+  res.json({
+    mode: 'full',
+    balloons: selectFields(page.items, req.query.fields),
+    page: page.info,
+    frames: cache.frames.map(({ hourTag, timestamp, recordCount }) => ({ hourTag, timestamp, recordCount })),
+    earthquakes: cache.earthquakes.slice(0, 10),
+    meta: cache.meta
+  });
+});
+
+const EXPORTERS = {
+  geojson: { contentType: 'application/geo+json', render: renderGeoJson },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', render: renderKml },
+  csv: { contentType: 'text/csv', render: renderCsv }
+};
+
+Object.entries(EXPORTERS).forEach(([format, exporter]) => {
+  router.get(`/api/export/constellation.${format}`, (req, res) => {
+    const filtered = applyBalloonFilters(cache.balloons, req.query);
+    if (filtered.error) {
+      return res.status(400).json({ error: filtered.error });
+    }
+
+    const stamp = (cache.meta.lastRefresh || new Date().toISOString()).replace(/[:.]/g, '-');
+    res.set('Content-Type', `${exporter.contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="constellation-${stamp}.${format}"`);
+    res.send(exporter.render(filtered.balloons));
+  });
+});
+
+// Registered ahead of /api/balloons/:id so "near" is not taken for a balloon ID.
+router.get('/api/balloons/near', (req, res) => {
+  const query = parseNearQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const balloons = cache.balloonIndex.within(query.lat, query.lon, query.radiusKm).map(({ item, distanceKm }) => ({
+    balloonId: item.balloonId,
+    latest: item.latest,
+    nearestEarthquake: item.nearestEarthquake ?? null,
+    distanceKm: Number(distanceKm.toFixed(1))
+  }));
+  res.json({ center: { lat: query.lat, lon: query.lon }, radiusKm: query.radiusKm, balloons });
+});
+
+// Full record for one balloon, plus `pathEarthquakes`: every quake that came within `radiusKm` of any
+// sample on the track, with the closest approach.
+router.get('/api/balloons/:id', (req, res) => {
+  const radiusKm = req.query.radiusKm == null ? NEAR_DEFAULT_RADIUS_KM : Number(req.query.radiusKm);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > EARTH_HALF_CIRCUMFERENCE_KM) {
+    return res.status(400).json({ error: `"radiusKm" must be a positive number up to ${Math.floor(EARTH_HALF_CIRCUMFERENCE_KM)}` });
+  }
+
+  const balloon = cache.balloons.find((item) => item.balloonId === req.params.id);
+  if (!balloon) {
+    return res.status(404).json({ error: 'Balloon not found' });
+  }
+
+  res.json({ ...balloon, pathEarthquakes: nearestEarthquakesAlongTrack(balloon.track, cache.earthquakeIndex, radiusKm) });
+});
+
+router.get('/api/balloons/:id/forecast', (req, res) => {
+  const hours = req.query.hours == null ? FORECAST_DEFAULT_HOURS : Number(req.query.hours);
+  if (!Number.isInteger(hours) || hours < 1 || hours > FORECAST_MAX_HOURS) {
+    return res.status(400).json({ error: `"hours" must be a whole number between 1 and ${FORECAST_MAX_HOURS}` });
+  }
+
+  const balloon = cache.balloons.find((item) => item.balloonId === req.params.id);
+  if (!balloon) {
+    return res.status(404).json({ error: 'Balloon not found' });
+  }
+
+  const forecast = forecastTrack(balloon.track, hours);
+  if (!forecast) {
+    return res.status(422).json({ error: 'Not enough recent track history to forecast this balloon' });
+  }
+
+  res.json({ balloonId: balloon.balloonId, generatedAt: new Date().toISOString(), ...forecast });
+});
+
+module.exports = router;
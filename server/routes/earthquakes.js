@@ -0,0 +1,54 @@
+const express = require('express');
+
+const { cache } = require('../lib/state');
+const { EARTHQUAKE_SORT_FIELDS, applyEarthquakeFilters, paginate, selectFields } = require('../lib/query');
+const { CONTEXT_PROVIDERS, describeContextProvider } = require('../lib/context');
+const { parseNearQuery } = require('../lib/proximity');
+
+const router = express.Router();
+
+router.get('/api/earthquakes/near', (req, res) => {
+  const query = parseNearQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  const earthquakes = cache.earthquakeIndex.within(query.lat, query.lon, query.radiusKm).map(({ item, distanceKm }) => ({
+    ...item,
+    distanceKm: Number(distanceKm.toFixed(1))
+  }));
+  res.json({ center: { lat: query.lat, lon: query.lon }, radiusKm: query.radiusKm, earthquakes });
+});
+
+router.get('/api/context', (_req, res) => {
+  res.json({
+    providers: CONTEXT_PROVIDERS.map((provider) => ({
+      ...describeContextProvider(provider),
+      features: cache.context[provider.id]?.features || []
+    }))
+  });
+});
+
+router.get('/api/context/:providerId', (req, res) => {
+  const provider = CONTEXT_PROVIDERS.find((item) => item.id === req.params.providerId);
+  if (!provider) {
+    return res.status(404).json({ error: 'Context provider not found' });
+  }
+
+  res.json({ ...describeContextProvider(provider), features: cache.context[provider.id]?.features || [] });
+});
+
+router.get('/api/earthquakes', (req, res) => {
+  const filtered = applyEarthquakeFilters(cache.earthquakes, req.query);
+  if (filtered.error) {
+    return res.status(400).json({ error: filtered.error });
+  }
+  const page = paginate(filtered.earthquakes, req.query, EARTHQUAKE_SORT_FIELDS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  res.json({ earthquakes: selectFields(page.items, req.query.fields), page: page.info, meta: cache.meta });
+});
+
+module.exports = router;
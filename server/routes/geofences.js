@@ -0,0 +1,98 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const { ALERT_HISTORY_SIZE } = require('../lib/config');
+const { cache } = require('../lib/state');
+const { requireAdmin } = require('../lib/auth');
+const {
+  balloonsInsideGeofence,
+  geofenceMembership,
+  normalizeGeofence,
+  persistGeofences,
+  publicAlert,
+  publicGeofence
+} = require('../lib/geofences');
+
+const router = express.Router();
+
+// Geofences: named circles or polygons watched for balloons entering and leaving. Reads are open;
+// changes go through the admin token because fences carry webhook URLs the server will call.
+router.get('/api/geofences', (_req, res) => {
+  const geofences = cache.geofences.map((geofence) => ({
+    ...publicGeofence(geofence),
+    insideCount: geofenceMembership.get(geofence.id)?.size ?? 0
+  }));
+  res.json({ count: geofences.length, geofences });
+});
+
+router.post('/api/geofences', requireAdmin, async (req, res) => {
+  const definition = normalizeGeofence(req.body);
+  if (definition.error) {
+    return res.status(400).json({ error: definition.error });
+  }
+
+  const now = new Date().toISOString();
+  const geofence = { id: `gf_${crypto.randomBytes(6).toString('hex')}`, ...definition, createdAt: now, updatedAt: now };
+  cache.geofences.push(geofence);
+  // Balloons already inside when the fence is drawn are the baseline, not entries.
+  geofenceMembership.set(geofence.id, balloonsInsideGeofence(geofence, cache.balloons, cache.balloonIndex));
+  await persistGeofences();
+  res.status(201).json(geofence);
+});
+
+router.get('/api/geofences/:id', (req, res) => {
+  const geofence = cache.geofences.find((candidate) => candidate.id === req.params.id);
+  if (!geofence) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+
+  res.json({ ...publicGeofence(geofence), inside: Array.from(geofenceMembership.get(geofence.id) || []) });
+});
+
+router.put('/api/geofences/:id', requireAdmin, async (req, res) => {
+  const index = cache.geofences.findIndex((candidate) => candidate.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+  const definition = normalizeGeofence(req.body);
+  if (definition.error) {
+    return res.status(400).json({ error: definition.error });
+  }
+
+  const { id, createdAt } = cache.geofences[index];
+  const geofence = { id, ...definition, createdAt, updatedAt: new Date().toISOString() };
+  cache.geofences[index] = geofence;
+  geofenceMembership.set(id, balloonsInsideGeofence(geofence, cache.balloons, cache.balloonIndex));
+  await persistGeofences();
+  res.json(geofence);
+});
+
+router.delete('/api/geofences/:id', requireAdmin, async (req, res) => {
+  const index = cache.geofences.findIndex((candidate) => candidate.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+
+  cache.geofences.splice(index, 1);
+  geofenceMembership.delete(req.params.id);
+  await persistGeofences();
+  res.status(204).end();
+});
+
+// Recorded entry/exit alerts, newest first, optionally narrowed to one fence or balloon.
+router.get('/api/alerts', (req, res) => {
+  const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > ALERT_HISTORY_SIZE) {
+    return res.status(400).json({ error: `"limit" must be a whole number between 1 and ${ALERT_HISTORY_SIZE}` });
+  }
+
+  const { geofenceId, balloonId } = req.query;
+  const alerts = cache.alerts
+    .filter((alert) => (!geofenceId || alert.geofenceId === geofenceId) && (!balloonId || alert.balloonId === balloonId))
+    .slice(-limit)
+    .reverse()
+    .map(publicAlert);
+  res.json({ count: alerts.length, alerts });
+});
+
+module.exports = router;
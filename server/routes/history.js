@@ -0,0 +1,60 @@
+const express = require('express');
+
+const { BALLOON_SORT_FIELDS, paginate, selectFields } = require('../lib/query');
+const { loadArchivedHistory, resolveHistoryWindow } = require('../lib/archive');
+
+const router = express.Router();
+
+// History responses leave the upstream payload out of every sample unless `raw=1` is passed.
+function historyFields(query) {
+  return [query.fields, query.raw === '1' ? null : '-raw'].filter(Boolean).join(',') || null;
+}
+
+router.get('/api/history', async (req, res) => {
+  const window = resolveHistoryWindow(req.query);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
+  const history = await loadArchivedHistory(window.from, window.to);
+  const page = paginate(history.balloons, req.query, BALLOON_SORT_FIELDS, history.etag);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  if (req.headers['if-none-match'] === history.etag) {
+    return res.sendStatus(304);
+  }
+
+  res.set('ETag', history.etag);
+  res.json({
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    etag: history.etag,
+    frames: history.frames,
+    balloons: selectFields(page.items, historyFields(req.query)),
+    page: page.info
+  });
+});
+
+router.get('/api/balloons/:id/history', async (req, res) => {
+  const window = resolveHistoryWindow(req.query);
+  if (window.error) {
+    return res.status(400).json({ error: window.error });
+  }
+
+  const history = await loadArchivedHistory(window.from, window.to);
+  const balloon = history.balloons.find((item) => item.balloonId === req.params.id);
+  if (!balloon) {
+    return res.status(404).json({ error: 'Balloon not found in archive window' });
+  }
+
+  if (req.headers['if-none-match'] === history.etag) {
+    return res.sendStatus(304);
+  }
+
+  res.set('ETag', history.etag);
+  res.json({ from: window.from.toISOString(), to: window.to.toISOString(), ...selectFields([balloon], historyFields(req.query))[0] });
+});
+
+module.exports = router;
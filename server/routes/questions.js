@@ -0,0 +1,96 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const { CONTACT_MAX_LENGTH, QUESTION_MAX_LENGTH, QUESTION_MIN_LENGTH, QUESTION_STATUSES } = require('../lib/config');
+const { cache } = require('../lib/state');
+const { questionStore, takeQuestionSlot, validateQuestion } = require('../lib/questions');
+const { requireAdmin } = require('../lib/auth');
+
+const router = express.Router();
+
+// Length limits for the question form, so the client does not hard-code them.
+router.get('/api/questions/limits', (_req, res) => {
+  res.json({
+    messageMinLength: QUESTION_MIN_LENGTH,
+    messageMaxLength: QUESTION_MAX_LENGTH,
+    contactMaxLength: CONTACT_MAX_LENGTH
+  });
+});
+
+router.post('/api/questions', async (req, res) => {
+  const { message, contact } = req.body || {};
+  const invalid = validateQuestion(message, contact);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  // Only accepted submissions use up the address's quota.
+  const limit = takeQuestionSlot(req.ip);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many questions from this address; please try again later' });
+  }
+
+  const entry = {
+    id: `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    message: message.trim(),
+    contact: contact.trim(),
+    receivedAt: new Date().toISOString(),
+    status: 'open',
+    answer: null,
+    answeredAt: null,
+    closedAt: null
+  };
+  cache.questions.push(entry);
+  await questionStore.save(cache.questions);
+  console.log('New question received:', entry.id);
+  res.status(202).json({ ok: true, received: { id: entry.id, receivedAt: entry.receivedAt, status: entry.status } });
+});
+
+// Moderation API. Every route requires `Authorization: Bearer <ADMIN_TOKEN>` and is disabled when
+// ADMIN_TOKEN is unset.
+router.get('/api/admin/questions', requireAdmin, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !QUESTION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${QUESTION_STATUSES.join(', ')}` });
+  }
+  const questions = cache.questions
+    .filter((question) => !status || question.status === status)
+    .slice()
+    .reverse();
+  res.json({ count: questions.length, questions });
+});
+
+router.post('/api/admin/questions/:id/answer', requireAdmin, async (req, res) => {
+  const question = cache.questions.find((candidate) => candidate.id === req.params.id);
+  if (!question) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+  const answer = req.body?.answer;
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return res.status(400).json({ error: 'Missing answer text in "answer"' });
+  }
+  if (answer.trim().length > QUESTION_MAX_LENGTH) {
+    return res.status(400).json({ error: `Answers are limited to ${QUESTION_MAX_LENGTH} characters` });
+  }
+
+  question.answer = answer.trim();
+  question.answeredAt = new Date().toISOString();
+  if (question.status === 'open') question.status = 'answered';
+  await questionStore.save(cache.questions);
+  res.json(question);
+});
+
+router.post('/api/admin/questions/:id/close', requireAdmin, async (req, res) => {
+  const question = cache.questions.find((candidate) => candidate.id === req.params.id);
+  if (!question) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+
+  question.status = 'closed';
+  question.closedAt = question.closedAt || new Date().toISOString();
+  await questionStore.save(cache.questions);
+  res.json(question);
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+
+const { MAX_LOOKBACK_HOURS, REFRESH_INTERVAL_MS } = require('../lib/config');
+const { cache } = require('../lib/state');
+const { dataStatus, renderMetrics, sourceHealth, sourceStatus } = require('../lib/health');
+
+const router = express.Router();
+
+// Always 200 so a hosting health check does not restart the server over an upstream outage; `ok`
+// and `status` say whether the data being served is complete and current.
+router.get('/health', (_req, res) => {
+  const status = dataStatus();
+  res.json({
+    ok: status === 'ok',
+    status,
+    lastRefresh: cache.meta.lastRefresh,
+    sources: Object.fromEntries([...sourceHealth.values()].map((health) => [health.id, sourceStatus(health)]))
+  });
+});
+
+router.get('/api/status', (_req, res) => {
+  res.json({
+    status: dataStatus(),
+    lastRefresh: cache.meta.lastRefresh,
+    refreshIntervalMs: REFRESH_INTERVAL_MS,
+    etag: cache.meta.etag,
+    frames: { expected: MAX_LOOKBACK_HOURS, loaded: cache.frames.length },
+    sources: [...sourceHealth.values()].map((health) => ({ ...health, status: sourceStatus(health) }))
+  });
+});
+
+router.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+
+const { STREAM_RETRY_MS } = require('../lib/config');
+const { streamClients, streamSnapshot, writeStreamEvent } = require('../lib/stream');
+
+const router = express.Router();
+
+router.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  // Send the current version straight away so a reconnecting client can tell whether it missed a refresh.
+  writeStreamEvent(res, 'refresh', streamSnapshot());
+  streamClients.add(res);
+  req.on('close', () => streamClients.delete(res));
+});
+
+module.exports = router;
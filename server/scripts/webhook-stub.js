@@ -0,0 +1,27 @@
+// Minimal webhook receiver for trying out geofence alerts locally:
+//   node scripts/webhook-stub.js [port]
+// then point GEOFENCE_WEBHOOKS (or a fence's `webhooks`) at http://localhost:<port>/alerts.
+// Set WEBHOOK_STUB_FAIL=N to answer the first N deliveries with 503 and exercise the retries.
+const http = require('http');
+
+const port = Number(process.argv[2] || 4100);
+let failuresLeft = Number(process.env.WEBHOOK_STUB_FAIL || 0);
+
+http
+  .createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`${req.method} ${req.url} -> 503 (simulated failure)`);
+        res.writeHead(503).end();
+        return;
+      }
+      console.log(`${req.method} ${req.url}`, body);
+      res.writeHead(204).end();
+    });
+  })
+  .listen(port, () => console.log(`Webhook stub listening on http://localhost:${port}`));
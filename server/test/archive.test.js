@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-archive-'));
+process.env.ARCHIVE_DIR = archiveDir;
+
+const { archiveFrames, loadArchivedHistory } = require('../lib/archive');
+const { hashContent } = require('../lib/util');
+const historyRouter = require('../routes/history');
+
+const HOUR_MS = 3600 * 1000;
+const NOW_HOUR = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+// Frames for the last `count` hours, oldest first, each holding two coordinate-only balloons.
+function frames(count, shift = 0) {
+  return Array.from({ length: count }, (_, idx) => {
+    const age = count - 1 - idx;
+    const raw = [
+      [10, 20 + idx * 0.5 + shift, 12],
+      [-30, 100 + idx * 0.5, 15]
+    ];
+    return { hourTag: String(age).padStart(2, '0'), timestamp: NOW_HOUR - age * HOUR_MS, raw, hash: hashContent(raw) };
+  });
+}
+
+function mtimes() {
+  return Object.fromEntries(fs.readdirSync(archiveDir).map((name) => [name, fs.statSync(path.join(archiveDir, name)).mtimeMs]));
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(historyRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+test('archiveFrames only rewrites hours whose content changed', async () => {
+  await archiveFrames(frames(3));
+  const before = mtimes();
+  assert.equal(Object.keys(before).length, 3);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const changed = frames(3);
+  changed[2].raw = [[11, 21, 12]];
+  changed[2].hash = hashContent(changed[2].raw);
+  await archiveFrames(changed);
+
+  const after = mtimes();
+  const rewritten = Object.keys(after).filter((name) => after[name] !== before[name]);
+  assert.deepEqual(rewritten, [`${new Date(NOW_HOUR).toISOString().slice(0, 13)}.json`]);
+});
+
+test('loadArchivedHistory reuses the built history until a file in the window changes', async () => {
+  await archiveFrames(frames(3));
+  const from = new Date(NOW_HOUR - 3 * HOUR_MS);
+  const to = new Date(NOW_HOUR + 1000);
+
+  const first = await loadArchivedHistory(from, to);
+  assert.equal(first.frames.length, 3);
+  assert.equal(first.balloons.length, 2);
+  assert.equal(await loadArchivedHistory(from, to), first);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await archiveFrames(frames(3, 0.1));
+  const rebuilt = await loadArchivedHistory(from, to);
+  assert.notEqual(rebuilt.etag, first.etag);
+});
+
+test('/api/history pages balloons under the archive ETag and leaves out raw by default', async () => {
+  await archiveFrames(frames(3));
+  const window = `from=${new Date(NOW_HOUR - 3 * HOUR_MS).toISOString()}&to=${new Date(NOW_HOUR + 1000).toISOString()}`;
+
+  const firstPage = await (await fetch(`${baseUrl}/api/history?${window}&sort=balloonId&limit=1`)).json();
+  assert.equal(firstPage.balloons.length, 1);
+  assert.equal(firstPage.page.total, 2);
+  assert.equal(firstPage.balloons[0].track[0].raw, undefined);
+  assert.equal(firstPage.balloons[0].latest.raw, undefined);
+
+  const cursor = firstPage.page.nextCursor;
+  const secondPage = await (await fetch(`${baseUrl}/api/history?${window}&sort=balloonId&limit=1&cursor=${cursor}`)).json();
+  assert.equal(secondPage.balloons.length, 1);
+  assert.notEqual(secondPage.balloons[0].balloonId, firstPage.balloons[0].balloonId);
+  assert.equal(secondPage.page.nextCursor, null);
+
+  const withRaw = await (await fetch(`${baseUrl}/api/history?${window}&raw=1`)).json();
+  assert.deepEqual(withRaw.balloons[0].track[0].raw, { lat: 10, lon: 20, altitude: 12 });
+
+  const revalidated = await fetch(`${baseUrl}/api/history?${window}`, { headers: { 'If-None-Match': firstPage.etag } });
+  assert.equal(revalidated.status, 304);
+});
+
+test('/api/balloons/:id/history returns one track without raw', async () => {
+  const window = `from=${new Date(NOW_HOUR - 3 * HOUR_MS).toISOString()}&to=${new Date(NOW_HOUR + 1000).toISOString()}`;
+  const { balloons } = await (await fetch(`${baseUrl}/api/history?${window}`)).json();
+
+  const response = await fetch(`${baseUrl}/api/balloons/${balloons[0].balloonId}/history?${window}`);
+  const balloon = await response.json();
+  assert.equal(balloon.sampleCount, 3);
+  assert.equal(balloon.track[0].raw, undefined);
+  assert.equal((await fetch(`${baseUrl}/api/balloons/missing/history?${window}`)).status, 404);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cache } = require('../lib/state');
+const { buildConstellationDelta, recordVersion } = require('../lib/delta');
+const { applyBalloonFilters } = require('../lib/query');
+
+function point(hour, lat, lon) {
+  return { timestamp: `2026-01-01T0${hour}:00:00.000Z`, lat, lon, altitude: 10, raw: [lat, lon, 10] };
+}
+
+function balloon(balloonId, points, extra = {}) {
+  return { balloonId, track: points, latest: points[points.length - 1], lastSeen: points[points.length - 1].timestamp, ...extra };
+}
+
+// Records `balloons` as the version tagged `etag`.
+function publish(etag, balloons) {
+  cache.meta.etag = etag;
+  cache.balloons = balloons;
+  recordVersion();
+}
+
+test('delta lists added, removed and updated balloons since a version', () => {
+  publish('d1', [balloon('keep', [point(0, 1, 1)]), balloon('gone', [point(0, 5, 5)]), balloon('same', [point(0, 9, 9)])]);
+  const grown = balloon('keep', [point(0, 1, 1), point(1, 1.5, 1.5)]);
+  publish('d2', [grown, balloon('new', [point(1, 7, 7)]), balloon('same', [point(0, 9, 9)])]);
+
+  const delta = buildConstellationDelta('d1', cache.balloons, {});
+  assert.equal(delta.mode, 'delta');
+  assert.equal(delta.etag, 'd2');
+  assert.deepEqual(delta.added.map((item) => item.balloonId), ['new']);
+  assert.deepEqual(delta.removed, ['gone']);
+  assert.equal(delta.updated.length, 1);
+  assert.equal(delta.updated[0].balloonId, 'keep');
+  assert.equal(delta.updated[0].track, undefined);
+  assert.equal(delta.updated[0].trimBefore, point(0).timestamp);
+  assert.deepEqual(delta.updated[0].appendedPoints, [point(1, 1.5, 1.5)]);
+});
+
+test('appended points follow the old track after older samples roll off', () => {
+  publish('r1', [balloon('b', [point(0, 1, 1), point(1, 2, 2)])]);
+  publish('r2', [balloon('b', [point(1, 2, 2), point(2, 3, 3)])]);
+
+  const [update] = buildConstellationDelta('r1', cache.balloons, { fields: '-raw' }).updated;
+  assert.equal(update.trimBefore, point(1).timestamp);
+  assert.deepEqual(update.appendedPoints, [{ timestamp: point(2).timestamp, lat: 3, lon: 3, altitude: 10 }]);
+});
+
+test('a rewritten track is sent in full', () => {
+  publish('w1', [balloon('b', [point(0, 1, 1), point(1, 2, 2)])]);
+  publish('w2', [balloon('b', [point(0, 1, 1), point(1, 2.5, 2)])]);
+
+  const [update] = buildConstellationDelta('w1', cache.balloons, {}).updated;
+  assert.equal(update.appendedPoints, undefined);
+  assert.equal(update.track.length, 2);
+});
+
+test('filters apply to both versions', () => {
+  publish('f1', [balloon('b', [point(0, 1, 1)])]);
+  publish('f2', [balloon('b', [point(0, 1, 1), point(1, 40, 40)])]);
+
+  const delta = buildConstellationDelta('f1', [], { bbox: '0,0,10,10' });
+  assert.deepEqual(delta.removed, ['b']);
+});
+
+test('sample-count and quake-distance filters select the same balloons from the old version', () => {
+  const quake = (distanceKm) => ({ nearestEarthquake: { id: 'q', distanceKm } });
+  publish('s1', [
+    balloon('steady', [point(0, 1, 1), point(1, 2, 2)], { sampleCount: 2, ...quake(50) }),
+    balloon('moving', [point(0, 3, 3), point(1, 4, 4)], { sampleCount: 2, ...quake(80) })
+  ]);
+  publish('s2', [
+    balloon('steady', [point(0, 1, 1), point(1, 2, 2)], { sampleCount: 2, ...quake(50) }),
+    balloon('moving', [point(0, 3, 3), point(1, 4, 4), point(2, 5, 5)], { sampleCount: 3, ...quake(80) })
+  ]);
+
+  [{ minSamples: '2' }, { maxQuakeKm: '100' }].forEach((query) => {
+    const delta = buildConstellationDelta('s1', applyBalloonFilters(cache.balloons, query).balloons, query);
+    assert.deepEqual(delta.added, [], JSON.stringify(query));
+    assert.deepEqual(delta.removed, []);
+    assert.deepEqual(delta.updated.map((item) => item.balloonId), ['moving']);
+  });
+});
+
+test('the current version yields an empty delta and an unknown one asks for a full reload', () => {
+  publish('c1', [balloon('b', [point(0, 1, 1)])]);
+  assert.deepEqual(buildConstellationDelta('c1', cache.balloons, {}), {
+    mode: 'delta',
+    since: 'c1',
+    etag: 'c1',
+    added: [],
+    removed: [],
+    updated: []
+  });
+  assert.deepEqual(buildConstellationDelta('never', cache.balloons, {}), { mode: 'full' });
+  assert.match(buildConstellationDelta('c1', cache.balloons, { limit: '5' }).error, /"limit"/);
+  assert.deepEqual(buildConstellationDelta('never', cache.balloons, { limit: '5', sort: 'lastSeen' }), { mode: 'full' });
+});
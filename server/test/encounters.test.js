@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareEncounters, findEncounters, indexTrackPoints, parseEncounterQuery } = require('../lib/encounters');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const iso = (hours) => new Date(T0 + hours * 3600 * 1000).toISOString();
+
+const balloons = [
+  {
+    balloonId: 'b1',
+    track: [
+      { timestamp: iso(0), lat: 0, lon: 0, altitude: 10 },
+      { timestamp: iso(2), lat: 0, lon: 2, altitude: 12 }
+    ]
+  },
+  {
+    balloonId: 'dateline',
+    track: [
+      { timestamp: iso(0), lat: 20, lon: 179.8, altitude: 8 },
+      { timestamp: iso(1), lat: 20, lon: -179.8, altitude: 8 }
+    ]
+  }
+];
+
+function quake(id, lat, lon, hours, magnitude = 5) {
+  return { id, magnitude, place: id, occurredAt: iso(hours), coordinates: [lon, lat, 10] };
+}
+
+function find(quakes, options = {}) {
+  return findEncounters(quakes, balloons, indexTrackPoints(balloons), { radiusKm: 300, windowHours: 2, ...options });
+}
+
+test('parseEncounterQuery applies defaults and validates limits', () => {
+  assert.deepEqual(parseEncounterQuery({}), { radiusKm: 300, windowHours: 2, minMag: null, quakeId: null, balloonId: null });
+  assert.ok(parseEncounterQuery({ radiusKm: '0' }).error);
+  assert.ok(parseEncounterQuery({ radiusKm: '5000' }).error);
+  assert.ok(parseEncounterQuery({ windowHours: '24' }).error);
+  assert.ok(parseEncounterQuery({ minMag: 'big' }).error);
+});
+
+test('a quake between two samples meets the interpolated position', () => {
+  const [encounter] = find([quake('q1', 0, 1, 1)]);
+  assert.equal(encounter.balloonId, 'b1');
+  assert.equal(encounter.distanceKm, 0);
+  assert.equal(encounter.timeOffsetMinutes, 0);
+  assert.equal(encounter.interpolated, true);
+  assert.deepEqual(encounter.position, { lat: 0, lon: 1, altitude: 11 });
+});
+
+test('a quake after the track ends matches the last sample within the window', () => {
+  const [encounter] = find([quake('late', 0, 2.5, 3.5)]);
+  assert.equal(encounter.interpolated, false);
+  assert.equal(encounter.timeOffsetMinutes, -90);
+  assert.ok(encounter.distanceKm > 50 && encounter.distanceKm < 60);
+});
+
+test('quakes too far away in space or time have no encounters', () => {
+  assert.deepEqual(find([quake('far', 40, 40, 1)]), []);
+  assert.deepEqual(find([quake('later', 0, 2, 6)]), []);
+  assert.deepEqual(find([quake('narrow', 0, 4, 1)], { radiusKm: 100 }), []);
+});
+
+test('encounters are found across the antimeridian', () => {
+  const [encounter] = find([quake('q2', 20, 180, 0.5)]);
+  assert.equal(encounter.balloonId, 'dateline');
+  assert.equal(Math.abs(encounter.position.lon), 180);
+  assert.ok(encounter.distanceKm < 1);
+});
+
+test('compareEncounters orders by distance, then time offset, then magnitude', () => {
+  const base = { distanceKm: 10, timeOffsetMinutes: 30, quake: { magnitude: 4 } };
+  const sorted = [
+    { ...base, id: 'weaker' },
+    { ...base, id: 'stronger', quake: { magnitude: 6 } },
+    { ...base, id: 'sooner', timeOffsetMinutes: -5 },
+    { ...base, id: 'closer', distanceKm: 1 }
+  ].sort(compareEncounters);
+  assert.deepEqual(sorted.map((item) => item.id), ['closer', 'sooner', 'stronger', 'weaker']);
+});
+
+test('a pass between two samples is found at its closest point inside the window', () => {
+  const flyover = [
+    {
+      balloonId: 'flyover',
+      track: [
+        { timestamp: iso(0), lat: 0, lon: -3, altitude: 10 },
+        { timestamp: iso(3), lat: 0, lon: 3, altitude: 10 }
+      ]
+    }
+  ];
+  // The balloon is over lon 0 at hour 1.5, but the window ends at hour 2, when it is at lon 1.
+  const [encounter] = findEncounters([quake('q', 0.5, 1, 0)], flyover, indexTrackPoints(flyover), {
+    radiusKm: 100,
+    windowHours: 2
+  });
+  assert.equal(encounter.balloonId, 'flyover');
+  assert.equal(encounter.timeOffsetMinutes, 120);
+  assert.equal(encounter.interpolated, true);
+  assert.ok(Math.abs(encounter.distanceKm - 55.6) < 1, String(encounter.distanceKm));
+});
+
+test('the search reaches long segments beyond the association gates', () => {
+  // An upstream-ID track with a ten-hour gap: both samples are over 1,000 km from the quake.
+  const gap = [
+    {
+      balloonId: 'gap',
+      track: [
+        { timestamp: iso(0), lat: 0, lon: -10, altitude: 10 },
+        { timestamp: iso(10), lat: 0, lon: 10, altitude: 10 }
+      ]
+    }
+  ];
+  const [encounter] = findEncounters([quake('q', 0, 0, 5)], gap, indexTrackPoints(gap), { radiusKm: 50, windowHours: 2 });
+  assert.equal(encounter.balloonId, 'gap');
+  assert.equal(encounter.distanceKm, 0);
+  assert.equal(encounter.timeOffsetMinutes, 0);
+});
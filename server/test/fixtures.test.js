@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-source-'));
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-fixtures-'));
+process.env.FIXTURE_MODE = 'record';
+process.env.FIXTURE_DIR = fixtureDir;
+process.env.WIND_BASE_URL = pathToFileURL(sourceDir).href;
+process.env.EARTHQUAKE_URL = pathToFileURL(path.join(sourceDir, 'quakes.json')).href;
+
+const { fetchEarthquakes, loadWindborneHistory } = require('../lib/ingest');
+
+const manifestPath = path.join(fixtureDir, 'manifest.json');
+
+test.after(() => {
+  fs.rmSync(sourceDir, { recursive: true, force: true });
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+test('record mode saves changed payloads and only then rewrites the manifest', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  fs.writeFileSync(path.join(sourceDir, '00.json'), JSON.stringify([[10, 20, 12]]));
+  fs.writeFileSync(path.join(sourceDir, 'quakes.json'), JSON.stringify({ features: [] }));
+
+  await fetchEarthquakes();
+  await loadWindborneHistory();
+  assert.equal(fs.readFileSync(path.join(fixtureDir, 'windborne', '00.json'), 'utf8'), '[[10,20,12]]');
+  assert.ok(fs.existsSync(path.join(fixtureDir, 'earthquakes.json')));
+  assert.ok(fs.existsSync(manifestPath));
+
+  fs.rmSync(manifestPath);
+  await fetchEarthquakes();
+  await loadWindborneHistory();
+  assert.equal(fs.existsSync(manifestPath), false);
+
+  fs.writeFileSync(path.join(sourceDir, '00.json'), JSON.stringify([[10, 21, 12]]));
+  await loadWindborneHistory();
+  assert.equal(fs.readFileSync(path.join(fixtureDir, 'windborne', '00.json'), 'utf8'), '[[10,21,12]]');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  assert.equal(manifest.windBaseUrl, process.env.WIND_BASE_URL);
+  assert.ok(Date.parse(manifest.recordedAt) > 0);
+});
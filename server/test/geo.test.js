@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSpatialIndex, haversineKm } = require('../lib/geo');
+
+const toLatLon = (item) => item;
+
+test('within returns every item inside the radius, nearest first', () => {
+  const items = [
+    { id: 'far', lat: 10, lon: 30 },
+    { id: 'near', lat: 10, lon: 20.5 },
+    { id: 'mid', lat: 12, lon: 20 }
+  ];
+  const index = createSpatialIndex(items, toLatLon);
+  const matches = index.within(10, 20, 400);
+  assert.deepEqual(matches.map(({ item }) => item.id), ['near', 'mid']);
+  assert.ok(Math.abs(matches[0].distanceKm - haversineKm(10, 20, 10, 20.5)) < 1e-9);
+});
+
+test('within finds items across the antimeridian', () => {
+  const index = createSpatialIndex([{ id: 'east', lat: 0, lon: -179.5 }], toLatLon);
+  assert.deepEqual(index.within(0, 179.5, 200).map(({ item }) => item.id), ['east']);
+});
+
+test('within covers every longitude near the poles', () => {
+  const index = createSpatialIndex([{ id: 'other-side', lat: 89, lon: -90 }], toLatLon);
+  assert.equal(index.within(89, 90, 300).length, 1);
+});
+
+test('items without coordinates are skipped', () => {
+  const index = createSpatialIndex([{ lat: 1, lon: 1 }, { lat: null, lon: 2 }, null], (item) => item);
+  assert.equal(index.size, 1);
+});
+
+test('nearest widens the search until it finds something', () => {
+  const index = createSpatialIndex([{ id: 'antipode', lat: -10, lon: -160 }], toLatLon);
+  assert.equal(index.nearest(10, 20).item.id, 'antipode');
+  assert.equal(createSpatialIndex([], toLatLon).nearest(0, 0), null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cache } = require('../lib/state');
+const { balloonLatLon, createSpatialIndex } = require('../lib/geo');
+const {
+  balloonsInsideGeofence,
+  detectGeofenceTransitions,
+  geofenceMembership,
+  normalizeGeofence
+} = require('../lib/geofences');
+
+function balloon(balloonId, lat, lon) {
+  return { balloonId, latest: { lat, lon, altitude: 10 }, lastSeen: '2026-01-01T00:00:00.000Z' };
+}
+
+function inside(geofence, balloons) {
+  return [...balloonsInsideGeofence(geofence, balloons, createSpatialIndex(balloons, balloonLatLon))].sort();
+}
+
+test('normalizeGeofence accepts circles and polygons', () => {
+  assert.deepEqual(normalizeGeofence({ name: ' Pacific ', type: 'circle', center: { lat: '10', lon: 20 }, radiusKm: 100 }), {
+    name: 'Pacific',
+    type: 'circle',
+    center: { lat: 10, lon: 20 },
+    radiusKm: 100,
+    webhooks: []
+  });
+  const polygon = normalizeGeofence({ name: 'Box', type: 'polygon', coordinates: [[0, 0], [10, 0], [10, 10]] });
+  assert.deepEqual(polygon.coordinates, [[0, 0], [10, 0], [10, 10]]);
+});
+
+test('normalizeGeofence rejects bad input with a message', () => {
+  [
+    {},
+    { name: 'x', type: 'square' },
+    { name: 'x', type: 'circle', center: { lat: 95, lon: 0 }, radiusKm: 10 },
+    { name: 'x', type: 'circle', center: { lat: 0, lon: 0 }, radiusKm: -1 },
+    { name: 'x', type: 'polygon', coordinates: [[0, 0], [1, 1]] },
+    { name: 'x', type: 'polygon', coordinates: [[0, 0], [1, 1], [200, 1]] },
+    { name: 'x', type: 'circle', center: { lat: 0, lon: 0 }, radiusKm: 10, webhooks: ['ftp://example.com'] }
+  ].forEach((input) => assert.equal(typeof normalizeGeofence(input).error, 'string', JSON.stringify(input)));
+});
+
+test('circle membership uses great-circle distance', () => {
+  const fence = { type: 'circle', center: { lat: 0, lon: 179.5 }, radiusKm: 200 };
+  assert.deepEqual(inside(fence, [balloon('across', 0, -179.5), balloon('far', 0, 170)]), ['across']);
+});
+
+test('polygon membership, including a ring that crosses the antimeridian', () => {
+  const square = { type: 'polygon', coordinates: [[0, 0], [10, 0], [10, 10], [0, 10]] };
+  assert.deepEqual(inside(square, [balloon('in', 5, 5), balloon('out', 5, 15)]), ['in']);
+
+  const dateline = { type: 'polygon', coordinates: [[170, -10], [-170, -10], [-170, 10], [170, 10]] };
+  const balloons = [balloon('west', 0, 175), balloon('east', 0, -175), balloon('outside', 0, 160)];
+  assert.deepEqual(inside(dateline, balloons), ['east', 'west']);
+});
+
+test('transitions alert on entry and exit after the first baseline', () => {
+  const coordinates = [[0, 0], [10, 0], [10, 10], [0, 10]];
+  cache.geofences = [{ id: 'gf_1', name: 'Box', type: 'polygon', coordinates, webhooks: [] }];
+  geofenceMembership.clear();
+  const detect = (balloons) => detectGeofenceTransitions(balloons, createSpatialIndex(balloons, balloonLatLon));
+
+  assert.deepEqual(detect([balloon('a', 5, 5), balloon('b', 20, 20)]), []);
+  const alerts = detect([balloon('a', 20, 20), balloon('b', 5, 5)]);
+  assert.deepEqual(
+    alerts.map(({ event, balloonId, geofenceId }) => `${event}:${balloonId}:${geofenceId}`),
+    ['enter:b:gf_1', 'exit:a:gf_1']
+  );
+  assert.deepEqual(alerts[0].position, { lat: 5, lon: 5, altitude: 10 });
+  assert.deepEqual(alerts[0].deliveries, []);
+
+  // A balloon that leaves the feed is forgotten without an exit alert.
+  assert.deepEqual(detect([balloon('a', 20, 20)]), []);
+  assert.deepEqual([...geofenceMembership.get('gf_1')], []);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { dataStatus, recordSourceResult, renderMetrics, sourceHealth, sourceStatus } = require('../lib/health');
+const { cache } = require('../lib/state');
+
+function metricLines(name) {
+  return renderMetrics()
+    .split('\n')
+    .filter((line) => line.startsWith(name));
+}
+
+test('missing hours are left out of /metrics until the first Windborne load', () => {
+  sourceHealth.clear();
+  assert.deepEqual(metricLines('balloon_source_missing_hours'), []);
+  assert.match(renderMetrics(), /# TYPE balloon_source_missing_hours gauge/);
+
+  recordSourceResult('windborne', { latencyMs: 120, missingHours: ['03', '07'], error: '03.json: timeout' });
+  assert.deepEqual(metricLines('balloon_source_missing_hours'), ['balloon_source_missing_hours{source="windborne"} 2']);
+  assert.deepEqual(metricLines('balloon_source_latency_seconds'), ['balloon_source_latency_seconds{source="windborne"} 0.12']);
+});
+
+test('source status moves through ok, degraded and down', () => {
+  sourceHealth.clear();
+  recordSourceResult('earthquakes', { latencyMs: 10 });
+  assert.equal(sourceStatus(sourceHealth.get('earthquakes')), 'ok');
+
+  recordSourceResult('windborne', { latencyMs: 10, missingHours: ['01'] });
+  assert.equal(sourceStatus(sourceHealth.get('windborne')), 'degraded');
+
+  recordSourceResult('earthquakes', { latencyMs: 10, failed: true, error: 'HTTP 503' });
+  const quakes = sourceHealth.get('earthquakes');
+  assert.equal(sourceStatus(quakes), 'down');
+  assert.equal(quakes.consecutiveFailures, 1);
+  assert.equal(quakes.lastError, 'HTTP 503');
+  assert.deepEqual(metricLines('balloon_source_up{source="earthquakes"}'), ['balloon_source_up{source="earthquakes"} 0']);
+});
+
+test('a source whose last success is too old is stale', () => {
+  sourceHealth.clear();
+  recordSourceResult('earthquakes', { latencyMs: 10, staleAfterMs: 1000 });
+  sourceHealth.get('earthquakes').lastSuccessAt = new Date(Date.now() - 5000).toISOString();
+  assert.equal(sourceStatus(sourceHealth.get('earthquakes')), 'stale');
+});
+
+test('dataStatus is starting before the first refresh, then reflects the sources', () => {
+  sourceHealth.clear();
+  cache.meta.lastRefresh = null;
+  assert.equal(dataStatus(), 'starting');
+
+  cache.meta.lastRefresh = new Date().toISOString();
+  recordSourceResult('windborne', { latencyMs: 10, missingHours: [] });
+  assert.equal(dataStatus(), 'ok');
+  recordSourceResult('windborne', { latencyMs: 10, missingHours: ['05'] });
+  assert.equal(dataStatus(), 'partial');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createQualityReport, summarizeQuality, validateSample, validateTrack } = require('../lib/quality');
+
+const HOUR_MS = 3600 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// Hourly points drifting ~55 km east per hour, with overrides per index.
+function track(count, overrides = {}) {
+  return Array.from({ length: count }, (_, idx) => ({
+    balloonId: 'b1',
+    hourTag: String(idx).padStart(2, '0'),
+    timestamp: new Date(START + idx * HOUR_MS).toISOString(),
+    lat: 10,
+    lon: 20 + idx * 0.5,
+    altitude: 12,
+    ...overrides[idx]
+  }));
+}
+
+function codes(report) {
+  return report.anomalies.map((item) => item.code);
+}
+
+test('validateSample flags out-of-range coordinates and altitudes', () => {
+  assert.equal(validateSample({ lat: 91, lon: 0 }), 'COORD_OUT_OF_RANGE');
+  assert.equal(validateSample({ lat: 0, lon: -181 }), 'COORD_OUT_OF_RANGE');
+  assert.equal(validateSample({ lat: 0, lon: 0, altitude: -1 }), 'NEGATIVE_ALTITUDE');
+  assert.equal(validateSample({ lat: 0, lon: 0, altitude: 500 }), 'ALTITUDE_OUT_OF_RANGE');
+  assert.equal(validateSample({ lat: 0, lon: 0, altitude: null }), null);
+});
+
+test('validateTrack keeps a plausible track untouched', () => {
+  const report = createQualityReport();
+  const result = validateTrack({ balloonId: 'b1', track: track(5) }, report);
+  assert.equal(result.track.length, 5);
+  assert.deepEqual(report.anomalies, []);
+});
+
+test('validateTrack drops repeated samples as duplicates', () => {
+  const points = track(3);
+  const report = createQualityReport();
+  const repeated = [{ ...points[1] }, { ...points[2], timestamp: points[1].timestamp }];
+  const result = validateTrack({ track: [...points, ...repeated] }, report);
+  assert.equal(result.track.length, 3);
+  assert.deepEqual(codes(report), ['DUPLICATE_SAMPLE', 'DUPLICATE_SAMPLE']);
+});
+
+test('validateTrack drops a bad first point instead of the rest of the track', () => {
+  const report = createQualityReport();
+  const result = validateTrack({ track: track(5, { 0: { lat: -60, lon: 150 } }) }, report);
+  assert.deepEqual(result.track.map((point) => point.hourTag), ['01', '02', '03', '04']);
+  assert.deepEqual(codes(report), ['IMPOSSIBLE_JUMP']);
+  assert.equal(report.anomalies[0].hourTag, '00');
+});
+
+test('validateTrack drops a bad last point', () => {
+  const report = createQualityReport();
+  const result = validateTrack({ track: track(5, { 4: { lat: -60, lon: 150 } }) }, report);
+  assert.deepEqual(result.track.map((point) => point.hourTag), ['00', '01', '02', '03']);
+  assert.equal(report.anomalies[0].hourTag, '04');
+});
+
+test('validateTrack drops a bad point in the middle and keeps both sides', () => {
+  const report = createQualityReport();
+  const result = validateTrack({ track: track(5, { 2: { lat: -60, lon: 150 } }) }, report);
+  assert.deepEqual(result.track.map((point) => point.hourTag), ['00', '01', '03', '04']);
+  assert.deepEqual(codes(report), ['IMPOSSIBLE_JUMP']);
+});
+
+test('summarizeQuality reports per-frame ratios and marks suspect frames', () => {
+  const report = createQualityReport();
+  report.samples = 20;
+  validateTrack({ track: track(5, { 2: { lat: -60, lon: 150 } }) }, report);
+  const frames = [
+    { hourTag: '01', timestamp: 'a', recordCount: 10 },
+    { hourTag: '02', timestamp: 'b', recordCount: 10 }
+  ];
+  const summary = summarizeQuality(report, frames);
+  assert.equal(summary.summary.dropped, 1);
+  assert.deepEqual(summary.summary.byReason, { IMPOSSIBLE_JUMP: 1 });
+  assert.deepEqual(summary.summary.suspectFrames, ['02']);
+  assert.equal(summary.frames[1].anomalyRatio, 0.1);
+  assert.deepEqual(summary.balloons, [{ balloonId: 'b1', anomalies: 1, byReason: { IMPOSSIBLE_JUMP: 1 } }]);
+});
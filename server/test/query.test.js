@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cache } = require('../lib/state');
+const { BALLOON_SORT_FIELDS, applyBalloonFilters, paginate, selectFields } = require('../lib/query');
+
+function balloon(balloonId, lat, lon, altitude, lastSeen = '2026-01-01T05:00:00.000Z') {
+  const latest = { timestamp: lastSeen, lat, lon, altitude, raw: [lat, lon, altitude] };
+  return { balloonId, latest, lastSeen, track: [latest], sampleCount: 1 };
+}
+
+const balloons = [
+  balloon('a', 10, 20, 5),
+  balloon('b', -30, 179, 15, '2026-01-01T03:00:00.000Z'),
+  balloon('c', -32, -178, 25),
+  balloon('d', 60, 0, null)
+];
+
+function ids(result) {
+  return result.balloons.map((item) => item.balloonId);
+}
+
+test('filters by ids and altitude range', () => {
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { ids: 'a, c,zz' })), ['a', 'c']);
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { minAlt: '10' })), ['b', 'c']);
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { maxAlt: '10' })), ['a']);
+  assert.deepEqual(applyBalloonFilters(balloons, { minAlt: 'high' }), { error: 'Invalid "minAlt" or "maxAlt"' });
+});
+
+test('bbox filters on the latest position', () => {
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { bbox: '0,0,30,30' })), ['a']);
+});
+
+test('bbox with minLon > maxLon wraps across the antimeridian', () => {
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { bbox: '170,-40,-170,-20' })), ['b', 'c']);
+});
+
+test('rejects a malformed bbox', () => {
+  ['1,2,3', '0,40,10,20', '0,0,200,10', 'a,b,c,d'].forEach((bbox) => {
+    assert.ok(applyBalloonFilters(balloons, { bbox }).error, bbox);
+  });
+});
+
+test('repeated bbox values keep only positions inside every box', () => {
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { bbox: ['170,-40,-170,-20', '-180,-31,180,0'] })), ['b']);
+  assert.ok(applyBalloonFilters(balloons, { bbox: ['0,0,30,30', '1,2,3'] }).error);
+});
+
+test('filters by ID substring, nearest quake distance and sample count', () => {
+  const annotated = balloons.map((item, idx) => ({
+    ...item,
+    balloonId: `W-${item.balloonId}`,
+    nearestEarthquake: idx < 2 ? { distanceKm: idx * 500 } : null,
+    sampleCount: idx + 1
+  }));
+  assert.deepEqual(ids(applyBalloonFilters(annotated, { q: 'w-C' })), ['W-c']);
+  assert.deepEqual(ids(applyBalloonFilters(annotated, { maxQuakeKm: '100' })), ['W-a']);
+  assert.deepEqual(ids(applyBalloonFilters(annotated, { minSamples: '3' })), ['W-c', 'W-d']);
+  assert.deepEqual(applyBalloonFilters(annotated, { minSamples: 'many' }), { error: 'Invalid "minSamples" or "maxSamples"' });
+});
+
+test('lastSeen window drops balloons outside it', () => {
+  assert.deepEqual(ids(applyBalloonFilters(balloons, { lastSeenTo: '2026-01-01T04:00:00Z' })), ['b']);
+});
+
+test('sort orders by the field and puts missing values last', () => {
+  const { items } = paginate(balloons, { sort: '-altitude' }, BALLOON_SORT_FIELDS);
+  assert.deepEqual(items.map((item) => item.balloonId), ['c', 'b', 'a', 'd']);
+  assert.ok(paginate(balloons, { sort: 'colour' }, BALLOON_SORT_FIELDS).error);
+});
+
+test('cursor pages continue where the previous page stopped', () => {
+  cache.meta.etag = 'v1';
+  const query = { sort: 'balloonId', limit: '3' };
+  const first = paginate(balloons, query, BALLOON_SORT_FIELDS);
+  assert.deepEqual(first.items.map((item) => item.balloonId), ['a', 'b', 'c']);
+  assert.equal(first.info.total, 4);
+  assert.equal(typeof first.info.nextCursor, 'string');
+
+  const second = paginate(balloons, { ...query, cursor: first.info.nextCursor }, BALLOON_SORT_FIELDS);
+  assert.deepEqual(second.items.map((item) => item.balloonId), ['d']);
+  assert.equal(second.info.offset, 3);
+  assert.equal(second.info.nextCursor, null);
+});
+
+test('cursors from an older refresh or garbage are rejected', () => {
+  cache.meta.etag = 'v1';
+  const { info } = paginate(balloons, { limit: '1' }, BALLOON_SORT_FIELDS);
+  cache.meta.etag = 'v2';
+  assert.match(paginate(balloons, { cursor: info.nextCursor }, BALLOON_SORT_FIELDS).error, /older refresh/);
+  assert.equal(paginate(balloons, { cursor: 'nope' }, BALLOON_SORT_FIELDS).error, 'Invalid "cursor"');
+  assert.ok(paginate(balloons, { limit: '0' }, BALLOON_SORT_FIELDS).error);
+});
+
+test('selectFields keeps listed members plus the id and can strip raw payloads', () => {
+  assert.deepEqual(selectFields(balloons.slice(0, 1), 'lastSeen'), [{ balloonId: 'a', lastSeen: '2026-01-01T05:00:00.000Z' }]);
+  const [stripped] = selectFields(balloons.slice(0, 1), '-raw,-sampleCount');
+  assert.equal(stripped.sampleCount, undefined);
+  assert.equal(stripped.latest.raw, undefined);
+  assert.equal(stripped.track[0].raw, undefined);
+  assert.deepEqual(balloons[0].latest.raw, [10, 20, 5]);
+});
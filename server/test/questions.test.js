@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-questions-'));
+process.env.QUESTIONS_FILE = path.join(dataDir, 'questions.json');
+process.env.QUESTION_RATE_LIMIT = '2';
+
+const { validateQuestion } = require('../lib/questions');
+const questionsRouter = require('../routes/questions');
+
+const VALID = { message: 'How high do the balloons fly?', contact: 'someone@example.com' };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(questionsRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function ask(body) {
+  return fetch(`${baseUrl}/api/questions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('validateQuestion checks length and contact format', () => {
+  assert.equal(validateQuestion(VALID.message, VALID.contact), null);
+  assert.equal(validateQuestion(VALID.message, '+1 (555) 010-2030'), null);
+  assert.match(validateQuestion('', VALID.contact), /Missing question/);
+  assert.match(validateQuestion('short', VALID.contact), /between 10 and 2000/);
+  assert.match(validateQuestion('x'.repeat(2001), VALID.contact), /between 10 and 2000/);
+  assert.match(validateQuestion(VALID.message, 'call me'), /email address or a phone number/);
+  assert.match(validateQuestion(VALID.message, `${'a'.repeat(200)}@example.com`), /limited to 200/);
+});
+
+test('the limits endpoint matches the validation', async () => {
+  const limits = await (await fetch(`${baseUrl}/api/questions/limits`)).json();
+  assert.deepEqual(limits, { messageMinLength: 10, messageMaxLength: 2000, contactMaxLength: 200 });
+});
+
+test('only accepted questions count toward the rate limit', async () => {
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal((await ask({ ...VALID, contact: 'nope' })).status, 400);
+  }
+  assert.equal((await ask(VALID)).status, 202);
+  assert.equal((await ask(VALID)).status, 202);
+
+  const limited = await ask(VALID);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(JSON.parse(fs.readFileSync(process.env.QUESTIONS_FILE, 'utf8')).length, 2);
+});
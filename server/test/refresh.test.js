@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-refresh-'));
+process.env.WIND_BASE_URL = pathToFileURL(sourceDir).href;
+process.env.EARTHQUAKE_URL = pathToFileURL(path.join(sourceDir, 'quakes.json')).href;
+process.env.ARCHIVE_DIR = path.join(sourceDir, 'archive');
+
+let features = [];
+const contextServer = http.createServer((_req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ type: 'FeatureCollection', features }));
+});
+
+test.before(async () => {
+  contextServer.listen(0);
+  await new Promise((resolve) => contextServer.once('listening', resolve));
+  const url = `http://127.0.0.1:${contextServer.address().port}/volcanoes.json`;
+  process.env.CONTEXT_PROVIDERS = JSON.stringify([{ id: 'volcanoes', url }]);
+});
+
+test.after(() => {
+  contextServer.close();
+  fs.rmSync(sourceDir, { recursive: true, force: true });
+});
+
+function volcano(id, lat, lon) {
+  return { type: 'Feature', id, properties: { name: id }, geometry: { type: 'Point', coordinates: [lon, lat] } };
+}
+
+test('a context change goes through the same publish path as a refresh', async () => {
+  const { cache } = require('../lib/state');
+  const { CONTEXT_PROVIDERS } = require('../lib/context');
+  const { geofenceMembership } = require('../lib/geofences');
+  const { refreshContext } = require('../lib/refresh');
+  const [provider] = CONTEXT_PROVIDERS;
+
+  const latest = { timestamp: '2026-01-01T00:00:00.000Z', lat: 5, lon: 5, altitude: 10 };
+  cache.balloons = [{ balloonId: 'b1', latest, lastSeen: latest.timestamp, track: [latest] }];
+  const coordinates = [[0, 0], [10, 0], [10, 10], [0, 10]];
+  cache.geofences = [{ id: 'gf_1', name: 'Box', type: 'polygon', coordinates, webhooks: [] }];
+  const etagBefore = cache.meta.etag;
+
+  features = [volcano('v1', 6, 6)];
+  await refreshContext(provider);
+
+  assert.equal(cache.balloons[0].nearestContext.volcanoes.id, 'v1');
+  assert.notEqual(cache.meta.etag, etagBefore);
+  assert.equal(cache.balloonIndex.size, 1);
+  assert.equal(cache.trackPointIndex.size, 1);
+  assert.deepEqual([...geofenceMembership.get('gf_1')], ['b1']);
+
+  // Unchanged features leave the dataset alone.
+  const etagAfter = cache.meta.etag;
+  const balloons = cache.balloons;
+  await refreshContext(provider);
+  assert.equal(cache.meta.etag, etagAfter);
+  assert.equal(cache.balloons, balloons);
+});
+
+function writeQuakes(...quakes) {
+  const features = quakes.map(([id, lat, lon]) => ({
+    id,
+    properties: { mag: 5, place: id, time: Date.now() },
+    geometry: { type: 'Point', coordinates: [lon, lat, 10] }
+  }));
+  fs.writeFileSync(path.join(sourceDir, 'quakes.json'), JSON.stringify({ features }));
+}
+
+test('tracks are only rebuilt when a frame changed', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { cache } = require('../lib/state');
+  const { refreshData } = require('../lib/refresh');
+
+  fs.writeFileSync(path.join(sourceDir, '00.json'), JSON.stringify([[10, 20, 12]]));
+  fs.writeFileSync(path.join(sourceDir, '01.json'), JSON.stringify([[10, 19.5, 12]]));
+  writeQuakes(['q1', 10, 25]);
+  await refreshData();
+  const [built] = cache.balloons;
+  assert.equal(built.sampleCount, 2);
+  assert.equal(built.nearestEarthquake.id, 'q1');
+
+  writeQuakes(['q2', 10, 21]);
+  await refreshData();
+  assert.equal(cache.balloons[0].track, built.track);
+  assert.equal(cache.balloons[0].nearestEarthquake.id, 'q2');
+
+  fs.writeFileSync(path.join(sourceDir, '00.json'), JSON.stringify([[10, 20.2, 12]]));
+  await refreshData();
+  assert.notEqual(cache.balloons[0].track, built.track);
+  assert.equal(cache.balloons[0].latest.lon, 20.2);
+});
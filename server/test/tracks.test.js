@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildBalloonTracks } = require('../lib/tracks');
+
+const HOUR_MS = 3600 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// Frames oldest first, as loadWindborneHistory returns them.
+function frames(...payloads) {
+  return payloads.map((raw, idx) => ({ hourTag: String(idx).padStart(2, '0'), timestamp: START + idx * HOUR_MS, raw }));
+}
+
+function byFirstLat(tracks) {
+  return [...tracks].sort((a, b) => a.track[0].lat - b.track[0].lat);
+}
+
+test('coordinate-only points keep their track while the array index stays put', () => {
+  const tracks = buildBalloonTracks(
+    frames(
+      [
+        [10, 20, 12],
+        [40, -100, 15]
+      ],
+      [
+        [10.2, 20.5, 12.1],
+        [40.3, -99.6, 15.2]
+      ]
+    )
+  );
+
+  assert.equal(tracks.length, 2);
+  const [south, north] = byFirstLat(tracks);
+  assert.deepEqual(south.track.map((point) => point.lat), [10, 10.2]);
+  assert.equal(south.balloonId, 'coord-20260101T00-0');
+  assert.equal(north.balloonId, 'coord-20260101T00-1');
+  assert.equal(south.association.method, 'linked');
+  assert.equal(south.association.indexLinks, 1);
+  assert.ok(south.association.confidence > 0.9);
+});
+
+test('coordinate-only points follow the nearest plausible sample when the index shuffles', () => {
+  const tracks = buildBalloonTracks(
+    frames(
+      [
+        [10, 20, 12],
+        [40, -100, 15]
+      ],
+      [
+        [40.3, -99.6, 15.2],
+        [10.2, 20.5, 12.1]
+      ]
+    )
+  );
+
+  const [south, north] = byFirstLat(tracks);
+  assert.deepEqual(south.track.map((point) => point.lon), [20, 20.5]);
+  assert.deepEqual(north.track.map((point) => point.lon), [-100, -99.6]);
+  assert.equal(south.association.nearestLinks, 1);
+  assert.ok(south.association.confidence <= 0.75);
+});
+
+test('a point outside the drift or altitude gate starts a new track', () => {
+  const tracks = buildBalloonTracks(frames([[10, 20, 12]], [[10, 40, 12]], [[10, 40.2, 30]]));
+  assert.equal(tracks.length, 3);
+  tracks.forEach((track) => assert.equal(track.sampleCount, 1));
+});
+
+test('tracks survive a missing hour within the gap limit', () => {
+  const tracks = buildBalloonTracks(frames([[10, 20, 12]], [], [[10, 21, 12]]));
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].sampleCount, 2);
+});
+
+test('upstream IDs group samples directly', () => {
+  const tracks = buildBalloonTracks(
+    frames([{ id: 'A', lat: 10, lon: 20, alt: 12 }], { balloons: [{ id: 'A', latitude: 10.1, longitude: 20.1, alt: 12 }] })
+  );
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].balloonId, 'A');
+  assert.deepEqual(tracks[0].association, { method: 'upstream-id', confidence: 1 });
+  assert.equal(tracks[0].sampleCount, 2);
+});
+
+test('linked IDs carry over when hours roll off, the newest frame is missing and indexes shift', () => {
+  const hour = (offset, raw) => ({ hourTag: '00', timestamp: START + offset * HOUR_MS, raw });
+  const first = buildBalloonTracks([
+    hour(0, [[-30, 0, 10], [10, 20, 12]]),
+    hour(1, [[-30.2, 0.3, 10], [10.2, 20.5, 12.1]]),
+    hour(2, [[-30.4, 0.6, 10], [10.4, 21, 12.2]])
+  ]);
+  const ids = new Map(first.map((track) => [track.track[0].lat, track.balloonId]));
+  assert.equal(ids.get(10), 'coord-20260101T00-1');
+
+  // Hour 0 rolled off, hour 3 never arrived, and the southern balloon is gone from hour 2 on, so the
+  // northern one moved to index 0.
+  const second = buildBalloonTracks(
+    [hour(1, [[-30.2, 0.3, 10], [10.2, 20.5, 12.1]]), hour(2, [[10.4, 21, 12.2]]), hour(3, []), hour(4, [[10.8, 22, 12.4]])],
+    undefined,
+    first
+  );
+  const north = second.find((track) => track.latest.lat === 10.8);
+  assert.equal(north.balloonId, 'coord-20260101T00-1');
+  assert.equal(north.sampleCount, 3);
+  assert.equal(second.find((track) => track.latest.lat === -30.2).balloonId, ids.get(-30));
+});
+
+test('a linked ID that matches an upstream ID is suffixed rather than dropped', () => {
+  const tracks = buildBalloonTracks(frames([{ id: 'coord-20260101T00-1', lat: 50, lon: 50, alt: 12 }, [10, 20, 12]]));
+  assert.deepEqual(tracks.map((track) => track.balloonId).sort(), ['coord-20260101T00-1', 'coord-20260101T00-1.2']);
+  tracks.forEach((track) => assert.equal(track.sampleCount, 1));
+});
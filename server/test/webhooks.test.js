@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'balloon-webhooks-'));
+process.env.GEOFENCES_FILE = path.join(dataDir, 'geofences.json');
+
+const { cache } = require('../lib/state');
+const { resumeWebhookDeliveries } = require('../lib/geofences');
+
+const received = [];
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/hook', (req, res) => {
+    received.push(req.body);
+    res.sendStatus(204);
+  });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function alert(id, delivery) {
+  return { id, event: 'exit', geofenceId: 'gf', balloonId: 'b', deliveries: [{ url: `${baseUrl}/hook`, ...delivery }] };
+}
+
+test('deliveries left pending or retrying by the last run are sent again on startup', async () => {
+  cache.alerts = [
+    alert('al_retrying', { status: 'retrying', attempts: 2, lastError: 'HTTP 503', deliveredAt: null }),
+    alert('al_pending', { status: 'pending', attempts: 0, lastError: null, deliveredAt: null }),
+    alert('al_done', { status: 'delivered', attempts: 1, lastError: null, deliveredAt: '2026-01-01T00:00:00.000Z' })
+  ];
+
+  await resumeWebhookDeliveries();
+
+  assert.equal(received.length, 1);
+  assert.deepEqual(received[0].alerts.map((item) => item.id), ['al_retrying', 'al_pending']);
+  assert.equal(received[0].alerts[0].deliveries, undefined);
+  cache.alerts.slice(0, 2).forEach(({ deliveries: [delivery] }) => {
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+  });
+  assert.equal(cache.alerts[2].deliveries[0].attempts, 1);
+
+  const stored = JSON.parse(fs.readFileSync(process.env.GEOFENCES_FILE, 'utf8'));
+  assert.deepEqual(stored.alerts.map((item) => item.deliveries[0].status), ['delivered', 'delivered', 'delivered']);
+});
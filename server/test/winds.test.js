@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeWindField } = require('../lib/winds');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const iso = (hours) => new Date(T0 + hours * 3600 * 1000).toISOString();
+
+function sample(hours, lat, lon, altitude = 12, extra = {}) {
+  return { timestamp: iso(hours), lat, lon, altitude, ...extra };
+}
+
+test('a steady eastward drift becomes one eastward cell vector', () => {
+  const field = computeWindField([{ track: [sample(0, 0, 0), sample(1, 0, 1)] }]);
+  assert.deepEqual(field.bands.map(({ from, to }) => [from, to]), [[10, 15]]);
+  assert.equal(field.all.vectorCount, 1);
+
+  const [cell] = field.all.cells;
+  assert.deepEqual([cell.lat, cell.lon], [5, 5]);
+  assert.equal(cell.bearing, 90);
+  assert.ok(Math.abs(cell.speedKmh - 111.2) < 0.2);
+  assert.equal(cell.v, 0);
+  assert.equal(cell.steadiness, 1);
+});
+
+test('disagreeing vectors in one cell average out and lower steadiness', () => {
+  const field = computeWindField([
+    { track: [sample(0, 0, 0), sample(1, 0, 1)] },
+    { track: [sample(0, 0, 2), sample(1, 1, 2)] }
+  ]);
+  const [cell] = field.all.cells;
+  assert.equal(cell.count, 2);
+  assert.equal(cell.bearing, 45);
+  assert.equal(cell.steadiness, 0.71);
+});
+
+test('altitude bands split the field and "all" merges them', () => {
+  const field = computeWindField([
+    { track: [sample(0, 0, 0, 2), sample(1, 0, 1, 2)] },
+    { track: [sample(0, 0, 0, 22), sample(1, 0, 1, 22)] }
+  ]);
+  assert.deepEqual(field.bands.map((band) => band.from), [0, 20]);
+  assert.deepEqual(field.bands.map((band) => band.vectorCount), [1, 1]);
+  assert.equal(field.all.cells[0].count, 2);
+});
+
+test('long gaps, missing altitudes and weak links are left out', () => {
+  const field = computeWindField([
+    { track: [sample(0, 0, 0), sample(5, 0, 3)] },
+    { track: [sample(0, 10, 0, null), sample(1, 10, 1)] },
+    { track: [sample(0, 20, 0), sample(1, 20, 1, 12, { linkConfidence: 0.2 })] }
+  ]);
+  assert.deepEqual(field, { bands: [], all: { vectorCount: 0, cells: [] } });
+});